@@ -1,6 +1,8 @@
+importScripts('scriptlets.js', 'cosmetic-hostnames.js', 'filter-parser.js', 'filter-store.js', 'filter-catalog.js');
+
+
 
 const ADBLOCK_CONFIG = {
-  MAX_RULES: 30000,
   CACHE_DURATION: 3600000,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 5000,
@@ -14,6 +16,8 @@ const FILTER_LISTS = {
     description: 'Blocks most common ads and advertisements',
     url: 'https://easylist.to/easylist/easylist.txt',
     localUrl: 'filters/easylist.txt',
+    rulesetId: 'easylist',
+    priority: 3,
     version: '1.0',
     lastModified: null,
     ruleCount: 0,
@@ -26,18 +30,65 @@ const FILTER_LISTS = {
     description: 'Blocks trackers, analytics, and privacy-invading scripts',
     url: 'https://easylist.to/easylist/easyprivacy.txt',
     localUrl: 'filters/privacy.txt',
+    rulesetId: 'privacy',
+    priority: 2,
     version: '2.0',
     lastModified: null,
     ruleCount: 0,
     enabled: false,
     autoUpdate: true,
     updateFrequency: 7
+  },
+  tracking: {
+    name: 'Tracking Parameters',
+    description: 'Strips tracking parameters such as utm_*, fbclid and gclid from URLs',
+    url: null,
+    localUrl: 'filters/tracking-params.txt',
+    rulesetId: 'tracking',
+    priority: 1,
+    version: '1.0',
+    lastModified: null,
+    ruleCount: 0,
+    enabled: false,
+    autoUpdate: false,
+    updateFrequency: 7
   }
 };
 
 
+// Dynamic rule IDs: 1-89 for applyFallbackRules, 90 for the whitelist, 91
+// for the subscribe.adblockplus.org redirect, 100-999 for recovery.js, then
+// one LIST_RANGE_SIZE slot per filter list.
+const RULE_ID_RANGES = {
+  FALLBACK_START: 1,
+  WHITELIST: 90,
+  SUBSCRIBE: 91,
+  RECOVERY_START: 100,
+  LISTS_START: 1000,
+  LIST_RANGE_SIZE: 1 << 20
+};
+
+
+// The dynamic rule quota is shared between lists in proportion to their
+// priority (1-3, set per list on the options page). A few dynamic slots stay
+// free for the whitelist rule and recovery.js.
+const RULE_BUDGET = {
+  DEFAULT_PRIORITY: 2,
+  RESERVED_DYNAMIC_RULES: 100,
+  DEFAULT_DYNAMIC_RULES: 30000,
+  DEFAULT_REGEX_RULES: 1000
+};
+
+
+const MAX_DIAGNOSTICS_PER_LIST = 5000;
+const MAX_UPDATE_HISTORY = 20;
+const STATIC_BUNDLE_PATH = 'rulesets/bundle.json';
+
+
 const RULE_CACHE = new Map();
 const RULE_DEDUPLICATION_CACHE = new Map();
+let ruleIdSlots = null;
+let staticBundle = null;
 
 
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -48,7 +99,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       blockedCount: 0,
       isEnabled: true,
       whitelist: [],
-      filterLists: { easyList: true, privacyList: false },
+      filterLists: { easyList: true, privacyList: false, trackingList: false },
       updateFrequency: '7',
       lastFilterUpdate: Date.now(),
       performanceStats: { blockedToday: 0, totalBlocked: 0, avgResponseTime: 0 }
@@ -67,6 +118,19 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       await chrome.storage.sync.set(updates);
       console.log('Default settings initialized:', Object.keys(updates));
     }
+
+    if (details.reason === 'update') {
+      await migrateLegacyFilterCaches();
+    }
+
+    if (details.reason === 'install') {
+      const suggestedFilterLists = getRegionalCatalogLists(navigator.languages);
+      await chrome.storage.local.set({ suggestedFilterLists });
+      console.log('Suggested regional filter lists:', suggestedFilterLists);
+    }
+
+    await installSubscribeRedirectRule();
+    await scheduleFilterListUpdate();
     
 
     // Temporarily disabled to prevent page loading issues
@@ -88,55 +152,287 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 });
 
 
+chrome.runtime.onStartup.addListener(() => {
+  installSubscribeRedirectRule();
+  scheduleFilterListUpdate();
+});
+
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === FILTER_UPDATE_ALARM) {
+    autoUpdateFilterLists();
+  }
+});
+
+
 async function loadFilterLists(retryCount = 0, force = false) {
   try {
-    const settings = await chrome.storage.sync.get(['filterLists', 'lastFilterUpdate', 'updateFrequency']);
+    const settings = await chrome.storage.sync.get(['isEnabled', 'filterLists', 'customFilterLists', 'catalogFilterLists', 'filterListPriorities', 'lastFilterUpdate', 'updateFrequency']);
     const now = Date.now();
     
-
-    const filterLists = settings.filterLists || {
-      easyList: true,
-      privacyList: false
-    };
-    
-    console.log('Loading filter lists with settings:', filterLists);
+    if (settings.isEnabled === false) {
+      console.log('ZenBlock is disabled, not loading filter lists');
+      await syncStaticRulesets([]);
+      await scheduleFilterListUpdate();
+      await registerBundledScriptlets();
+      return;
+    }
     
 
-    const shouldUpdate = force || !settings.lastFilterUpdate || 
-                        (now - settings.lastFilterUpdate) > (parseInt(settings.updateFrequency || '7') * 24 * 60 * 60 * 1000);
+    console.log('Loading filter lists with settings:', settings.filterLists);
+    const { filterListKeys, filterConfigs } = getEnabledFilterLists(settings);
+
+
+    const { filterListMeta = {} } = await chrome.storage.local.get(['filterListMeta']);
+    const dueListKeys = filterListKeys.filter(listKey => isFilterListDue(filterListMeta[listKey], now));
+    const shouldUpdate = force || dueListKeys.length > 0;
     
     if (shouldUpdate || retryCount > 0) {
-      console.log(`Loading filter lists (attempt ${retryCount + 1}, force: ${force})`);
+      console.log(`Loading filter lists (attempt ${retryCount + 1}, force: ${force}, due: ${dueListKeys.join(', ') || 'none'})`);
       
-      const filterPromises = [];
-      
-      if (filterLists.easyList !== false) {
-        console.log('Loading EasyList...');
-        filterPromises.push(loadFilterList('easylist'));
-      } else {
-        console.log('EasyList is disabled');
+      const results = await Promise.allSettled(
+        filterListKeys.map(listKey => fetchFilterList(
+          listKey,
+          filterConfigs[listKey],
+          !force && !dueListKeys.includes(listKey)
+        ))
+      );
+      const loadedLists = [];
+      const bundle = await loadStaticBundle();
+      const budget = await getRuleBudget(bundle);
+      const staticSelection = selectStaticRulesets(
+        filterListKeys
+          .filter(listKey => FILTER_LISTS[listKey] && bundle.lists[FILTER_LISTS[listKey].rulesetId])
+          .map(listKey => ({
+            key: listKey,
+            name: FILTER_LISTS[listKey].name,
+            rulesetId: FILTER_LISTS[listKey].rulesetId,
+            priority: getFilterListPriority(listKey, settings.filterListPriorities),
+            ruleCount: bundle.lists[FILTER_LISTS[listKey].rulesetId].ruleCount
+          })),
+        budget
+      );
+      const staticListKeys = staticSelection.enabled.map(list => list.key);
+      // Rulesets whose list was also fetched: the rule ids the remote copy
+      // dropped. Those lists bring their own cosmetic rules and $badfilters.
+      const removedStaticRules = {};
+      const keptStaticScriptlets = {};
+      const defaultExpires = parseInt(settings.updateFrequency || '7') * 24 * 60 * 60 * 1000;
+      const updateHistory = {};
+      results.forEach((result, index) => {
+        const listKey = filterListKeys[index];
+        const filterConfig = FILTER_LISTS[listKey] || filterConfigs[listKey];
+        if (result.status === 'fulfilled') {
+          if (staticListKeys.includes(listKey)) {
+            const delta = getBundledListDelta(result.value.text, bundle.lists[filterConfig.rulesetId]);
+            loadedLists.push({ key: listKey, ...result.value, text: delta.text });
+            removedStaticRules[filterConfig.rulesetId] = delta.removedRuleIds;
+            keptStaticScriptlets[filterConfig.rulesetId] = delta.keepsScriptlets;
+          } else {
+            loadedLists.push({ key: listKey, ...result.value });
+          }
+          filterListMeta[listKey] = buildFilterListMeta(result.value, filterConfig, defaultExpires, now);
+          updateHistory[listKey] = { at: now, outcome: result.value.outcome, error: result.value.error || null };
+        } else if (staticListKeys.includes(listKey)) {
+          console.log(`Using the bundled static ruleset for ${filterConfig.name}`);
+          updateHistory[listKey] = { at: now, outcome: 'static', error: result.reason.message };
+          filterListMeta[listKey] = buildFilterListMeta({
+            metadata: bundle.lists[filterConfig.rulesetId].metadata,
+            source: `static ruleset (${filterConfig.rulesetId})`,
+            fetchedAt: null,
+            hasRemote: !!filterConfig.url
+          }, filterConfig, defaultExpires, now);
+        } else {
+          console.warn(`Skipping ${listKey}:`, result.reason);
+          updateHistory[listKey] = { at: now, outcome: 'failed', error: result.reason.message };
+        }
+      });
+      await chrome.storage.local.set({ filterListMeta });
+      await scheduleFilterListUpdate();
+
+
+      const bundleOnlyListKeys = staticListKeys.filter(listKey => !removedStaticRules[FILTER_LISTS[listKey].rulesetId]);
+      const badfilters = new Map();
+      loadedLists.forEach(list => collectBadfilters(list.text, list.name, badfilters));
+      bundleOnlyListKeys.forEach(listKey => {
+        bundle.lists[FILTER_LISTS[listKey].rulesetId].badfilters.forEach(key => {
+          if (!badfilters.has(key)) badfilters.set(key, FILTER_LISTS[listKey].name);
+        });
+      });
+
+      const parseContext = {
+        cancelled: [],
+        cssRules: {
+          global: [],
+          domains: {},
+          negated: {},
+          exceptions: {},
+          styles: {},
+          styleNegated: {},
+          styleExceptions: {},
+          pageExceptions: []
+        },
+        scriptletRules: { domains: {}, negated: {}, exceptions: {} },
+        popupFilters: { blocks: [], exceptions: [] },
+        ruleSources: {}
+      };
+      const parsedLists = [];
+      const seenRuleKeys = new Set();
+      const regexRuleStats = {};
+      const filterDiagnostics = {};
+
+      const badfilterFingerprint = hashFilterText([...badfilters.keys()].sort().join('\n'));
+
+      const compiledLists = [];
+      for (const list of loadedLists) {
+        const compiled = await compileFilterList(list, badfilters, badfilterFingerprint);
+        mergeCompiledList(parseContext, compiled);
+        Object.assign(parseContext.ruleSources, compiled.ruleSources);
+        compiledLists.push(compiled);
       }
-      
-      if (filterLists.privacyList === true) {
-        console.log('Loading Privacy List...');
-        filterPromises.push(loadFilterList('privacy'));
-      } else {
-        console.log('Privacy List is disabled');
+
+      // $csp / $permissions exceptions from any list cancel header rules in
+      // the others. Static rulesets keep their own header rules.
+      const headerExceptions = [
+        ...compiledLists.flatMap(compiled => compiled.headerExceptions || []),
+        ...bundleOnlyListKeys.flatMap(listKey => bundle.lists[FILTER_LISTS[listKey].rulesetId].headerExceptions || [])
+      ];
+
+      for (const [index, list] of loadedLists.entries()) {
+        const compiled = compiledLists[index];
+        const diagnostics = [...compiled.diagnostics];
+        const rules = applyHeaderExceptions(compiled.rules, headerExceptions);
+        updateHistory[list.key].reusedRules = compiled.reused;
+        console.log(`Loaded ${rules.length} rules from ${list.name} (${list.source}${compiled.reused ? ', compiled rules reused' : ''})`);
+
+        if (FILTER_LISTS[list.key]) {
+          FILTER_LISTS[list.key].ruleCount = rules.length;
+          FILTER_LISTS[list.key].version = list.metadata.version || FILTER_LISTS[list.key].version;
+          FILTER_LISTS[list.key].lastModified = list.metadata.lastModified || new Date().toISOString();
+        }
+
+        const validated = await validateRegexRules(rules);
+        regexRuleStats[list.key] = validated.report;
+        for (const { rule, reason } of validated.rejected) {
+          const source = parseContext.ruleSources[rule.id];
+          diagnostics.push({
+            line: source.line,
+            text: source.filter,
+            category: DIAGNOSTIC_CATEGORIES.REGEX_REJECTED,
+            message: `Chrome cannot compile this regular expression (${reason})`
+          });
+        }
+        filterDiagnostics[list.key] = { name: list.name, entries: diagnostics };
+
+        // A rule an earlier list already installs would only use up budget.
+        const listRules = mergeModifyHeadersRules(deduplicateRules(validated.rules));
+        const uniqueRules = listRules.filter(rule => {
+          const key = JSON.stringify([rule.priority, rule.action, rule.condition]);
+          if (seenRuleKeys.has(key)) return false;
+          seenRuleKeys.add(key);
+          return true;
+        });
+        parsedLists.push({
+          key: list.key,
+          name: list.name,
+          priority: getFilterListPriority(list.key, settings.filterListPriorities),
+          rules: uniqueRules,
+          duplicates: listRules.length - uniqueRules.length
+        });
       }
+
+      const allocation = allocateRuleBudget(parsedLists, budget, parseContext.ruleSources);
+      for (const entry of allocation.cut) {
+        filterDiagnostics[entry.list].entries.push({
+          line: entry.line,
+          text: entry.filter,
+          category: DIAGNOSTIC_CATEGORIES.OVER_BUDGET,
+          message: RULE_CUT_MESSAGES[entry.reason] || entry.reason
+        });
+      }
+      for (const [listKey, quotaCuts] of Object.entries(allocation.regexQuotaCuts)) {
+        regexRuleStats[listKey].accepted -= quotaCuts;
+        regexRuleStats[listKey].rejected += quotaCuts;
+        regexRuleStats[listKey].reasons.quotaExceeded = (regexRuleStats[listKey].reasons.quotaExceeded || 0) + quotaCuts;
+      }
+
+      const disabledStaticRules = {};
+      const bundledScriptlets = { lists: [], rules: { domains: {}, negated: {}, exceptions: {} } };
+      for (const listKey of staticListKeys) {
+        const rulesetId = FILTER_LISTS[listKey].rulesetId;
+        const compiled = bundle.lists[rulesetId];
+        const removedRuleIds = removedStaticRules[rulesetId];
+        if (!removedRuleIds) {
+          mergeCompiledList(parseContext, compiled);
+        }
+        if (compiled.scriptletFile && (!removedRuleIds || keptStaticScriptlets[rulesetId])) {
+          if (removedRuleIds) {
+            mergeScriptletRules(parseContext.scriptletRules, compiled.scriptletRules);
+          }
+          mergeScriptletRules(bundledScriptlets.rules, compiled.scriptletRules);
+          bundledScriptlets.lists.push({
+            rulesetId,
+            file: compiled.scriptletFile,
+            matches: getScriptletMatches(compiled.scriptletRules)
+          });
+        }
+
+        disabledStaticRules[rulesetId] = [...(removedRuleIds || [])];
+        for (const [key, source] of Object.entries(compiled.signatures)) {
+          if (!badfilters.has(key) || disabledStaticRules[rulesetId].includes(source.id)) continue;
+          disabledStaticRules[rulesetId].push(source.id);
+          parseContext.cancelled.push({
+            filter: source.filter,
+            list: FILTER_LISTS[listKey].name,
+            cancelledBy: badfilters.get(key)
+          });
+        }
+
+        if (removedRuleIds) {
+          // ruleCount holds the remote copy's additions at this point.
+          FILTER_LISTS[listKey].ruleCount += compiled.ruleCount - disabledStaticRules[rulesetId].length;
+        } else {
+          FILTER_LISTS[listKey].ruleCount = compiled.ruleCount - disabledStaticRules[rulesetId].length;
+          FILTER_LISTS[listKey].version = compiled.metadata.version || FILTER_LISTS[listKey].version;
+        }
+      }
+      await syncStaticRulesets(staticListKeys.map(listKey => FILTER_LISTS[listKey].rulesetId), disabledStaticRules);
+
+      await storeCosmeticRules(parseContext.cssRules, parseContext.scriptletRules);
+      await recordFilterUpdates(updateHistory);
+      await chrome.storage.local.set({
+        bundledScriptlets,
+        popupFilters: parseContext.popupFilters,
+        regexRuleStats,
+        ruleSources: parseContext.ruleSources,
+        filterDiagnostics: summarizeDiagnostics(filterDiagnostics, now),
+        ruleBudgetReport: {
+          generatedAt: now,
+          limits: budget,
+          lists: allocation.lists,
+          staticRulesets: staticSelection.report,
+          cut: allocation.cut
+        },
+        badfilterReport: {
+          generatedAt: now,
+          badfilterCount: badfilters.size,
+          cancelled: parseContext.cancelled
+        }
+      });
       
-      const results = await Promise.allSettled(filterPromises);
-      const successfulFilters = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+      await registerBundledScriptlets();
       
-      if (successfulFilters.length > 0) {
-        const allRules = successfulFilters.flat();
-        await applyFilterRules(allRules);
+      if (parsedLists.length > 0 || staticSelection.enabled.length > 0) {
+        await applyFilterRules(allocation.rules);
         await chrome.storage.sync.set({ lastFilterUpdate: now });
-        console.log(`Successfully loaded ${allRules.length} filter rules from ${successfulFilters.length} filter lists`);
+        console.log(`Successfully loaded ${allocation.rules.length} dynamic filter rules from ${parsedLists.length} filter lists and ${staticSelection.enabled.length} static rulesets (${allocation.cut.length} rules cut to fit the quota)`);
       } else {
         throw new Error('No filter lists loaded successfully');
       }
     } else {
       console.log('Filter lists recently updated, skipping reload');
+      await scheduleFilterListUpdate();
+      await registerBundledScriptlets();
     }
     
   } catch (error) {
@@ -152,37 +448,148 @@ async function loadFilterLists(retryCount = 0, force = false) {
 }
 
 
-async function loadFilterList(listKey) {
-  const filterConfig = FILTER_LISTS[listKey];
+// The built-in lists ticked in the settings, then enabled custom and catalog
+// lists, with the config of each list that is not in FILTER_LISTS.
+function getEnabledFilterLists(settings) {
+  const filterLists = settings.filterLists || {
+    easyList: true,
+    privacyList: false,
+    trackingList: false
+  };
+  const filterListKeys = [];
+  const filterConfigs = {};
+  
+  if (filterLists.easyList !== false) {
+    filterListKeys.push('easylist');
+  } else {
+    console.log('EasyList is disabled');
+  }
+  
+  if (filterLists.privacyList === true) {
+    filterListKeys.push('privacy');
+  } else {
+    console.log('Privacy List is disabled');
+  }
+  
+  if (filterLists.trackingList === true) {
+    filterListKeys.push('tracking');
+  } else {
+    console.log('Tracking Parameters List is disabled');
+  }
+
+  for (const [listId, config] of Object.entries(settings.customFilterLists || {})) {
+    if (config.enabled === false) continue;
+    filterListKeys.push(listId);
+    filterConfigs[listId] = config;
+  }
+
+  for (const listId of settings.catalogFilterLists || []) {
+    if (!FILTER_LIST_CATALOG[listId]) continue;
+    filterListKeys.push(listId);
+    filterConfigs[listId] = getCatalogFilterConfig(listId);
+  }
+
+  return { filterListKeys, filterConfigs };
+}
+
+
+async function fetchFilterList(listKey, filterConfig = FILTER_LISTS[listKey], preferCache = false) {
   if (!filterConfig) {
     throw new Error(`Unknown filter list: ${listKey}`);
   }
 
   let filterList = null;
   let source = '';
+  let baseUrl = filterConfig.url;
+  let fetchedAt = null;
+  let outcome = null;
+  let error = null;
 
+  let cacheData;
   try {
+    cacheData = await getStoredFilterData(`filterCache_${listKey}`);
+  } catch (cacheError) {
+    console.warn('Failed to read filter list cache:', cacheError);
+  }
+
+  if (preferCache && filterConfig.url && cacheData && cacheData.data) {
+    console.log(`Using cached ${filterConfig.name} until it expires`);
+    const result = await finishFilterList(cacheData.data, filterConfig, baseUrl, 'cache (not yet expired)', cacheData.timestamp);
+    return { ...result, outcome: 'cached' };
+  }
+
+  const patch = filterConfig.url && cacheData && cacheData.data
+    ? await fetchFilterListPatch(filterConfig, cacheData)
+    : null;
+  if (patch) {
+    fetchedAt = Date.now();
+    try {
+      await setStoredFilterData(`filterCache_${listKey}`, patch.patched
+        // The validators describe the last full download, not the patched text.
+        ? { data: patch.text, timestamp: fetchedAt, fullFetchedAt: cacheData.fullFetchedAt || cacheData.timestamp }
+        : { ...cacheData, timestamp: fetchedAt });
+    } catch (cacheError) {
+      console.warn('Failed to cache patched filter list:', cacheError);
+    }
+
+    const result = await finishFilterList(
+      patch.text,
+      filterConfig,
+      baseUrl,
+      `remote (${filterConfig.url}, ${patch.patched ? 'patched' : 'no new patch'})`,
+      fetchedAt
+    );
+    return { ...result, outcome: patch.patched ? 'patched' : 'notModified', error: null };
+  }
+
+  try {
+    if (!filterConfig.url) {
+      throw new Error(`${filterConfig.name} has no remote URL`);
+    }
+
+    // Only ask for a 304 when there is a cached copy to fall back on.
+    const headers = {
+      'User-Agent': 'ZenBlock/1.0 (+https://github.com/zenblock)'
+    };
+    if (cacheData && cacheData.data) {
+      if (cacheData.etag) headers['If-None-Match'] = cacheData.etag;
+      if (cacheData.lastModified) headers['If-Modified-Since'] = cacheData.lastModified;
+    }
 
     console.log(`Fetching ${filterConfig.name} from remote URL...`);
-    const response = await fetch(filterConfig.url, {
-      headers: {
-        'User-Agent': 'ZenBlock/1.0 (+https://github.com/zenblock)'
-      }
-    });
+    const response = await fetch(filterConfig.url, { headers });
+
+    if (response.status === 304 && cacheData && cacheData.data) {
+      filterList = cacheData.data;
+      source = `remote (${filterConfig.url}, not modified)`;
+      fetchedAt = Date.now();
+      outcome = 'notModified';
 
-    if (response.ok) {
+      try {
+        await setStoredFilterData(`filterCache_${listKey}`, {
+          ...cacheData,
+          timestamp: fetchedAt,
+          fullFetchedAt: fetchedAt,
+          lastModified: response.headers.get('Last-Modified') || cacheData.lastModified,
+          etag: response.headers.get('ETag') || cacheData.etag
+        });
+      } catch (cacheError) {
+        console.warn('Failed to refresh filter list cache:', cacheError);
+      }
+    } else if (response.ok) {
       filterList = await response.text();
       source = `remote (${filterConfig.url})`;
+      fetchedAt = Date.now();
+      outcome = 'downloaded';
       
 
       try {
-        await chrome.storage.local.set({
-          [`filterCache_${listKey}`]: {
-            data: filterList,
-            timestamp: Date.now(),
-            lastModified: response.headers.get('Last-Modified'),
-            etag: response.headers.get('ETag')
-          }
+        await setStoredFilterData(`filterCache_${listKey}`, {
+          data: filterList,
+          timestamp: fetchedAt,
+          fullFetchedAt: fetchedAt,
+          lastModified: response.headers.get('Last-Modified'),
+          etag: response.headers.get('ETag')
         });
         console.log(`Cached ${filterConfig.name} locally`);
       } catch (cacheError) {
@@ -193,19 +600,19 @@ async function loadFilterList(listKey) {
     }
   } catch (remoteError) {
     console.warn(`Failed to fetch ${filterConfig.name} from remote URL:`, remoteError);
+    error = remoteError.message;
     
 
     try {
-      const cached = await chrome.storage.local.get([`filterCache_${listKey}`]);
-      const cacheData = cached[`filterCache_${listKey}`];
-      
       if (cacheData && cacheData.data) {
         const cacheAge = Date.now() - cacheData.timestamp;
         const maxCacheAge = (filterConfig.updateFrequency || 7) * 24 * 60 * 60 * 1000;
         
         if (cacheAge < maxCacheAge) {
           filterList = cacheData.data;
+          fetchedAt = cacheData.timestamp;
           source = `cache (${Math.round(cacheAge / (60 * 60 * 1000))}h old)`;
+          outcome = 'cached';
           console.log(`Using cached ${filterConfig.name}`);
         } else {
           console.log(`Cached ${filterConfig.name} is too old (${Math.round(cacheAge / (24 * 60 * 60 * 1000))} days)`);
@@ -216,13 +623,15 @@ async function loadFilterList(listKey) {
     }
     
 
-    if (!filterList && filterConfig.localUrl) {
+    if (!filterList && filterConfig.localUrl && !filterConfig.rulesetId) {
       try {
         console.log(`Falling back to local file for ${filterConfig.name}...`);
         const localResponse = await fetch(chrome.runtime.getURL(filterConfig.localUrl));
         if (localResponse.ok) {
           filterList = await localResponse.text();
           source = `local file (${filterConfig.localUrl})`;
+          outcome = 'local';
+          baseUrl = chrome.runtime.getURL(filterConfig.localUrl);
           console.log(`Using local ${filterConfig.name}`);
         }
       } catch (localError) {
@@ -240,393 +649,735 @@ async function loadFilterList(listKey) {
     throw new Error(`Filter list ${filterConfig.name} appears to be empty or corrupted`);
   }
 
-  const rules = parseFilterList(filterList);
-  console.log(`Loaded ${rules.length} rules from ${filterConfig.name} (${source})`);
-  
-
-  filterConfig.ruleCount = rules.length;
-  filterConfig.lastModified = new Date().toISOString();
-  
-  return rules;
+  const result = await finishFilterList(filterList, filterConfig, baseUrl, source, fetchedAt);
+  return { ...result, outcome, error };
 }
 
 
-function parseExceptionRule(line, id) {
+// Lists with a "! Diff-Path:" header are kept current with small patches
+// between full downloads. Returns the patched text, the cached text when no
+// newer patch is published yet (404 or empty patch), or null when the caller
+// should download the full list: no Diff-Path, the cached copy is past its
+// Expires, or the patch fails to apply or to reproduce its checksum.
+async function fetchFilterListPatch(filterConfig, cacheData) {
+  const metadata = parseFilterListHeader(cacheData.data);
+  if (!metadata.diffPath) return null;
+
+  const fullExpires = metadata.expires || (filterConfig.updateFrequency || 7) * 24 * 60 * 60 * 1000;
+  if (Date.now() - (cacheData.fullFetchedAt || cacheData.timestamp) >= fullExpires) return null;
+
+  const [path, name] = metadata.diffPath.split('#');
   try {
-    const cleanLine = line.substring(2);
-    
-    if (cleanLine.startsWith('||') && cleanLine.endsWith('^')) {
-      const domain = cleanLine.substring(2, cleanLine.length - 1);
-      if (isValidFilterDomain(domain)) {
-        return {
-          id: id,
-          priority: 2,
-          action: { type: 'allow' },
-          condition: {
-            urlFilter: `||${domain}^`,
-            resourceTypes: [
-              'script', 'image', 'stylesheet', 'object', 'xmlhttprequest',
-              'sub_frame', 'ping', 'csp_report', 'media', 'font', 'websocket', 'other'
-            ]
-          }
-        };
-      }
+    const response = await fetch(new URL(path, filterConfig.url).href);
+    if (response.status === 404) {
+      return { text: cacheData.data, patched: false };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
+
+    const patchText = await response.text();
+    if (patchText.trim() === '') {
+      return { text: cacheData.data, patched: false };
+    }
+
+    const patch = parseDifferentialPatch(patchText, name || null);
+    if (!patch) throw new Error(`Patch has no diff for ${name}`);
+    if (!patch.checksum) throw new Error('Patch has no checksum');
+
+    const text = applyRcsDiff(cacheData.data, patch.lines);
+    const checksum = await calculateChecksum(text, 'SHA-1');
+    if (!checksum.startsWith(patch.checksum)) {
+      throw new Error(`Checksum mismatch (expected ${patch.checksum}, got ${checksum})`);
+    }
+
+    console.log(`Patched ${filterConfig.name} with ${patch.lines.length} diff lines`);
+    return { text, patched: true };
   } catch (error) {
-    console.warn('Failed to parse exception rule:', line, error);
+    console.warn(`Differential update of ${filterConfig.name} failed, downloading the full list:`, error);
+    return null;
+  }
+}
+
+
+async function finishFilterList(filterList, filterConfig, baseUrl, source, fetchedAt, loadInclude = fetchIncludedFilterList) {
+  const format = !filterConfig.format || filterConfig.format === 'auto'
+    ? detectFilterListFormat(filterList)
+    : filterConfig.format;
+
+  if (format !== 'adblock') {
+    const text = convertDomainList(filterList, format);
+    return {
+      text,
+      metadata: parseFilterListHeader(text),
+      format,
+      name: filterConfig.name,
+      source,
+      fetchedAt,
+      hasRemote: !!filterConfig.url
+    };
+  }
+
+  return {
+    text: await preprocessFilterList(filterList, baseUrl, loadInclude),
+    metadata: parseFilterListHeader(filterList),
+    format,
+    name: filterConfig.name,
+    source,
+    fetchedAt,
+    hasRemote: !!filterConfig.url
+  };
+}
+
+
+async function loadStaticBundle() {
+  if (!staticBundle) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(STATIC_BUNDLE_PATH));
+      staticBundle = await response.json();
+    } catch (error) {
+      console.warn('Failed to load the static ruleset bundle:', error);
+      return { lists: {} };
+    }
   }
-  return null;
+  return staticBundle;
+}
+
+
+// A bundled list keeps running from its static ruleset when a newer copy is
+// downloaded; only the difference becomes dynamic rules. Filters the ruleset
+// already holds are blanked (so diagnostics keep their line numbers), and the
+// ruleset's rules the new copy no longer has are returned for disabling.
+// Scriptlets are blanked too while the new copy still has every one of the
+// bundled file's; otherwise the file is not registered and the new copy's
+// scriptlets are all parsed again.
+function getBundledListDelta(text, compiled) {
+  const presentKeys = new Set();
+  const trimmedLines = new Set(text.split('\n').map(line => line.trim()));
+  const bundledScriptlets = new Set(compiled.scriptletFilters || []);
+  const keepsScriptlets = [...bundledScriptlets].every(filter => trimmedLines.has(filter));
+  const lines = text.split('\n').map(line => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('!')) return line;
+    if (keepsScriptlets && bundledScriptlets.has(trimmed)) return '';
+
+    const signature = getFilterSignature(trimmed);
+    if (signature.isBadfilter || !compiled.signatures[signature.key]) return line;
+    presentKeys.add(signature.key);
+    return '';
+  });
+
+  return {
+    text: lines.join('\n'),
+    removedRuleIds: Object.entries(compiled.signatures)
+      .filter(([key]) => !presentKeys.has(key))
+      .map(([, source]) => source.id),
+    keepsScriptlets
+  };
 }
 
 
-function parseURLPatternRule(line, id) {
+// Cached compile output is only reused for the exact same list text, rule ID
+// slot, set of $badfilter signatures and extension version.
+async function compileFilterList(list, badfilters, badfilterFingerprint) {
+  const cacheKey = `compiledCache_${list.key}`;
+  const allocator = await createRuleIdAllocator(list.key);
+  const slots = await getRuleIdSlots();
+  const fingerprint = [
+    chrome.runtime.getManifest().version,
+    slots[list.key],
+    badfilterFingerprint,
+    list.text.length,
+    hashFilterText(list.text)
+  ].join(':');
+
+  let cached;
   try {
+    cached = await getStoredFilterData(cacheKey);
+  } catch (error) {
+    console.warn(`Failed to read compiled rules for ${list.name}:`, error);
+  }
+  if (cached && cached.fingerprint === fingerprint) {
+    return { ...cached, reused: true };
+  }
+
+  const context = {
+    badfilters,
+    cancelled: [],
+    listName: list.name,
+    listKey: list.key,
+    allocator,
+    cssRules: {
+      global: [],
+      domains: {},
+      negated: {},
+      exceptions: {},
+      styles: {},
+      styleNegated: {},
+      styleExceptions: {},
+      pageExceptions: []
+    },
+    scriptletRules: { domains: {}, negated: {}, exceptions: {} },
+    popupFilters: { blocks: [], exceptions: [] },
+    headerExceptions: [],
+    ruleSources: {},
+    diagnostics: []
+  };
+  const compiled = {
+    fingerprint,
+    rules: parseFilterList(list.text, context),
+    cssRules: context.cssRules,
+    scriptletRules: context.scriptletRules,
+    popupFilters: context.popupFilters,
+    headerExceptions: context.headerExceptions,
+    cancelled: context.cancelled,
+    ruleSources: context.ruleSources,
+    diagnostics: context.diagnostics
+  };
+
+  try {
+    await setStoredFilterData(cacheKey, compiled);
+  } catch (error) {
+    console.warn(`Failed to cache compiled rules for ${list.name}:`, error);
+  }
+  return { ...compiled, reused: false };
+}
+
+
+async function recordFilterUpdates(updates) {
+  const { filterUpdateHistory = {} } = await chrome.storage.local.get(['filterUpdateHistory']);
+  for (const [listKey, entry] of Object.entries(updates)) {
+    filterUpdateHistory[listKey] = [entry, ...(filterUpdateHistory[listKey] || [])].slice(0, MAX_UPDATE_HISTORY);
+  }
+  await chrome.storage.local.set({ filterUpdateHistory });
+}
 
-    let urlFilter = line;
-    
 
-    if (urlFilter.includes('*')) {
+function mergeCompiledList(parseContext, compiled) {
+  mergeCosmeticRules(parseContext.cssRules, parseContext.scriptletRules, compiled);
+  if (compiled.popupFilters) {
+    parseContext.popupFilters.blocks.push(...compiled.popupFilters.blocks);
+    parseContext.popupFilters.exceptions.push(...compiled.popupFilters.exceptions);
+  }
+  parseContext.cancelled.push(...compiled.cancelled);
+}
 
-      urlFilter = urlFilter.replace(/\*/g, '*');
+
+function mergeCosmeticRules(cssRules, scriptletRules, compiled) {
+  cssRules.global.push(...compiled.cssRules.global);
+  cssRules.pageExceptions.push(...compiled.cssRules.pageExceptions);
+  for (const field of ['domains', 'exceptions', 'styles', 'styleExceptions']) {
+    for (const [domain, selectors] of Object.entries(compiled.cssRules[field] || {})) {
+      cssRules[field][domain] = (cssRules[field][domain] || []).concat(selectors);
     }
-    
+  }
+  mergeNegatedEntries(cssRules.negated, compiled.cssRules.negated);
+  mergeNegatedEntries(cssRules.styleNegated, compiled.cssRules.styleNegated);
+  mergeScriptletRules(scriptletRules, compiled.scriptletRules);
+}
 
-    if (!urlFilter.startsWith('||') && !urlFilter.startsWith('|')) {
-      urlFilter = `*${urlFilter}*`;
+
+function mergeScriptletRules(target, scriptletRules) {
+  for (const field of ['domains', 'exceptions']) {
+    for (const [domain, entries] of Object.entries(scriptletRules[field])) {
+      target[field][domain] = (target[field][domain] || []).concat(entries);
+    }
+  }
+  mergeNegatedEntries(target.negated, scriptletRules.negated);
+}
+
+
+function mergeNegatedEntries(target, negated) {
+  for (const [excluded, byDomain] of Object.entries(negated || {})) {
+    target[excluded] = target[excluded] || {};
+    for (const [domain, entries] of Object.entries(byDomain)) {
+      target[excluded][domain] = (target[excluded][domain] || []).concat(entries);
+    }
+  }
+}
+
+
+// Bundled lists ship as static rulesets (see tools/compile-filters.js) and are
+// switched on by their checkboxes. Rules a newer remote copy dropped and
+// $badfilter entries from other lists switch off individual static rules.
+async function syncStaticRulesets(enabledRulesetIds, disabledRuleIds = {}) {
+  const allRulesetIds = Object.values(FILTER_LISTS).map(list => list.rulesetId).filter(Boolean);
+
+  try {
+    await chrome.declarativeNetRequest.updateEnabledRulesets({
+      enableRulesetIds: enabledRulesetIds,
+      disableRulesetIds: allRulesetIds.filter(id => !enabledRulesetIds.includes(id))
+    });
+
+    if (!chrome.declarativeNetRequest.updateStaticRules) return;
+
+    for (const rulesetId of enabledRulesetIds) {
+      const wanted = disabledRuleIds[rulesetId] || [];
+      const current = await chrome.declarativeNetRequest.getDisabledRuleIds({ rulesetId });
+      await chrome.declarativeNetRequest.updateStaticRules({
+        rulesetId,
+        disableRuleIds: wanted,
+        enableRuleIds: current.filter(id => !wanted.includes(id))
+      });
     }
-    
-    return {
-      id: id,
-      priority: 1,
-      action: { type: 'block' },
-      condition: {
-        urlFilter: urlFilter,
-        resourceTypes: ['script', 'image', 'stylesheet', 'object', 'xmlhttprequest']
-      }
-    };
   } catch (error) {
-    console.warn('Failed to parse URL pattern rule:', line, error);
+    console.error('Failed to update static rulesets:', error);
   }
-  return null;
 }
 
 
-function parseResourceTypeRule(line, id) {
+const FALLBACK_RETRY_DELAY = 60 * 60 * 1000;
+const DEFAULT_DIFF_EXPIRES = 60 * 60 * 1000;
+
+
+// Lists are refreshed on their own Expires schedule; the global update
+// frequency only applies to lists that do not declare one. Lists with a
+// Diff-Path are checked for patches every Diff-Expires instead (see
+// fetchFilterListPatch); both come due through the scheduleFilterListUpdate
+// alarm. Lists served from the bundled copy are retried sooner, and lists
+// without a remote URL never expire.
+function buildFilterListMeta(list, filterConfig, defaultExpires, now) {
+  const expires = list.metadata.expires || defaultExpires;
+  let nextUpdate = null;
+
+  if (list.hasRemote && list.metadata.diffPath && list.fetchedAt) {
+    nextUpdate = list.fetchedAt + Math.min(list.metadata.diffExpires || DEFAULT_DIFF_EXPIRES, expires);
+  } else if (list.hasRemote) {
+    nextUpdate = list.fetchedAt ? list.fetchedAt + expires : now + FALLBACK_RETRY_DELAY;
+  }
+
+  return {
+    ...list.metadata,
+    title: list.metadata.title || filterConfig.name,
+    expires,
+    format: list.format || 'adblock',
+    source: list.source,
+    fetchedAt: list.fetchedAt,
+    nextUpdate
+  };
+}
+
+
+function isFilterListDue(meta, now) {
+  if (!meta) return true;
+  return meta.nextUpdate !== null && now >= meta.nextUpdate;
+}
+
+
+const FILTER_UPDATE_ALARM = 'filterListUpdate';
+const MIN_UPDATE_DELAY = 60 * 1000;
+
+
+// The service worker is stopped when idle and its timers with it, so refreshes
+// run from an alarm set for the earliest nextUpdate among the enabled lists.
+// A list that was never fetched is due straight away.
+async function scheduleFilterListUpdate() {
   try {
-    const parts = line.split('$');
-    if (parts.length !== 2) return null;
-    
-    const pattern = parts[0];
-    const options = parts[1].split(',');
-    
-
-    const resourceTypeMap = {
-      'script': 'script',
-      'image': 'image',
-      'stylesheet': 'stylesheet',
-      'object': 'object',
-      'xmlhttprequest': 'xmlhttprequest',
-      'sub_frame': 'sub_frame',
-      'ping': 'ping',
-      'csp_report': 'csp_report',
-      'media': 'media',
-      'font': 'font',
-      'websocket': 'websocket',
-      'other': 'other'
-    };
-    
-    const resourceTypes = [];
-    let isImportant = false;
-    let isThirdParty = false;
-    
-    for (const option of options) {
-      const cleanOption = option.trim();
-      
-      if (cleanOption === 'important') {
-        isImportant = true;
-      } else if (cleanOption === 'third-party') {
-        isThirdParty = true;
-      } else if (resourceTypeMap[cleanOption]) {
-        resourceTypes.push(resourceTypeMap[cleanOption]);
-      }
+    const settings = await chrome.storage.sync.get(['isEnabled', 'filterLists', 'customFilterLists', 'catalogFilterLists']);
+    const { filterListMeta = {} } = await chrome.storage.local.get(['filterListMeta']);
+    const now = Date.now();
+    const nextUpdates = settings.isEnabled === false ? [] : getEnabledFilterLists(settings).filterListKeys
+      .map(listKey => filterListMeta[listKey] ? filterListMeta[listKey].nextUpdate : now)
+      .filter(nextUpdate => typeof nextUpdate === 'number');
+
+    if (nextUpdates.length === 0) {
+      await chrome.alarms.clear(FILTER_UPDATE_ALARM);
+      return;
     }
-    
+    await chrome.alarms.create(FILTER_UPDATE_ALARM, {
+      when: Math.max(Math.min(...nextUpdates), now + MIN_UPDATE_DELAY)
+    });
+  } catch (error) {
+    console.error('Failed to schedule filter list updates:', error);
+  }
+}
+
+
+// Includes keep their own validators, so a parent list that comes back
+// unchanged costs a 304 per include rather than a full download each.
+async function fetchIncludedFilterList(includeUrl) {
+  if (includeUrl.startsWith(chrome.runtime.getURL(''))) {
+    return fetchIncludedFilterListUncached(includeUrl);
+  }
 
-    if (resourceTypes.length === 0) {
-      resourceTypes.push('script', 'image', 'stylesheet');
+  const cacheKey = `filterInclude_${includeUrl}`;
+  let cached = null;
+  try {
+    cached = await getStoredFilterData(cacheKey);
+  } catch (error) {
+    console.warn(`Failed to read cached copy of ${includeUrl}:`, error);
+  }
+
+  try {
+    const headers = {};
+    if (cached && cached.data) {
+      if (cached.etag) headers['If-None-Match'] = cached.etag;
+      if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
     }
-    
 
-    let urlFilter = pattern;
-    if (pattern.startsWith('||')) {
-      urlFilter = pattern;
-    } else if (!urlFilter.includes('*')) {
-      urlFilter = `*${urlFilter}*`;
+    const response = await fetch(includeUrl, { headers });
+    if (response.status === 304 && cached && cached.data) {
+      await setStoredFilterData(cacheKey, {
+        ...cached,
+        timestamp: Date.now(),
+        lastModified: response.headers.get('Last-Modified') || cached.lastModified,
+        etag: response.headers.get('ETag') || cached.etag
+      });
+      return cached.data;
     }
-    
-    return {
-      id: id,
-      priority: isImportant ? 3 : 1,
-      action: { type: 'block' },
-      condition: {
-        urlFilter: urlFilter,
-        resourceTypes: resourceTypes,
-        domainType: isThirdParty ? 'thirdParty' : undefined
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const text = await response.text();
+    await setStoredFilterData(cacheKey, {
+      data: text,
+      timestamp: Date.now(),
+      lastModified: response.headers.get('Last-Modified'),
+      etag: response.headers.get('ETag')
+    });
+    return text;
+  } catch (error) {
+    if (cached && cached.data) {
+      console.warn(`Using cached copy of ${includeUrl}:`, error.message);
+      return cached.data;
+    }
+    throw error;
+  }
+}
+
+
+// Previews fetch includes without caching them: nothing of a list the user
+// did not subscribe to should stay behind.
+async function fetchIncludedFilterListUncached(includeUrl) {
+  const response = await fetch(includeUrl);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.text();
+}
+
+
+async function validateRegexRules(rules) {
+  const accepted = [];
+  const rejected = [];
+  const report = { accepted: 0, rejected: 0, reasons: {}, examples: [] };
+
+  for (const rule of rules) {
+    if (!rule.condition.regexFilter) {
+      accepted.push(rule);
+      continue;
+    }
+
+    let reason = null;
+    try {
+      const result = await chrome.declarativeNetRequest.isRegexSupported({
+        regex: rule.condition.regexFilter,
+        isCaseSensitive: rule.condition.isUrlFilterCaseSensitive === true
+      });
+      if (!result.isSupported) {
+        reason = result.reason || 'unsupported';
       }
-    };
+    } catch (error) {
+      reason = 'validationFailed';
+    }
+
+    if (reason) {
+      report.rejected++;
+      report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+      if (report.examples.length < 20) {
+        report.examples.push({ regex: rule.condition.regexFilter, reason });
+      }
+      rejected.push({ rule, reason });
+      continue;
+    }
+
+    report.accepted++;
+    accepted.push(rule);
+  }
+
+  return { rules: accepted, rejected, report };
+}
+
+
+function getFilterListPriority(listKey, priorities = {}) {
+  const priority = priorities[listKey]
+    || (FILTER_LISTS[listKey] && FILTER_LISTS[listKey].priority)
+    || RULE_BUDGET.DEFAULT_PRIORITY;
+  return Math.min(3, Math.max(1, priority));
+}
+
+
+async function getRuleBudget(bundle) {
+  const dnr = chrome.declarativeNetRequest;
+  const budget = {
+    dynamic: (dnr.MAX_NUMBER_OF_DYNAMIC_RULES || RULE_BUDGET.DEFAULT_DYNAMIC_RULES) - RULE_BUDGET.RESERVED_DYNAMIC_RULES,
+    unsafeDynamic: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES || null,
+    regex: dnr.MAX_NUMBER_OF_REGEX_RULES || RULE_BUDGET.DEFAULT_REGEX_RULES,
+    guaranteedStatic: dnr.GUARANTEED_MINIMUM_STATIC_RULES || null,
+    availableStatic: null
+  };
+
+  try {
+    // Rulesets that are enabled right now count against the available
+    // static rules but are ours to hand out again.
+    const available = await dnr.getAvailableStaticRuleCount();
+    const enabledRulesetIds = await dnr.getEnabledRulesets();
+    budget.availableStatic = enabledRulesetIds.reduce((total, rulesetId) => {
+      const compiled = bundle.lists[rulesetId];
+      return total + (compiled ? compiled.ruleCount : 0);
+    }, available);
   } catch (error) {
-    console.warn('Failed to parse resource type rule:', line, error);
+    console.warn('Failed to query the available static rule count:', error);
   }
-  return null;
-}
-
 
-function parseCSSRule(line) {
-  try {
+  return budget;
+}
 
-    const isException = line.startsWith('@@');
-    const cleanLine = isException ? line.substring(2) : line;
-    
 
-    const parts = cleanLine.split('##');
-    if (parts.length !== 2) return null;
-    
-    const [domain, selector] = parts;
-    
+function selectStaticRulesets(lists, budget) {
+  const enabled = [];
+  const report = [];
+  let remaining = budget.availableStatic === null ? Infinity : budget.availableStatic;
 
-    if (!selector || selector.length < 1) return null;
-    
-    return {
-      domain: domain || 'global',
-      selector: selector.trim(),
-      isException: isException
-    };
-  } catch (error) {
-    console.warn('Failed to parse CSS rule:', line, error);
-    return null;
+  for (const list of [...lists].sort((a, b) => b.priority - a.priority)) {
+    const fits = list.ruleCount <= remaining;
+    if (fits) {
+      enabled.push(list);
+      remaining -= list.ruleCount;
+    } else {
+      console.warn(`Not enough static rule quota for ${list.name} (${list.ruleCount} rules, ${remaining} available)`);
+    }
+    report.push({ list: list.key, name: list.name, ruleCount: list.ruleCount, enabled: fits });
   }
+
+  return { enabled, report };
 }
 
 
-function parseFilterList(filterList) {
-  const rules = [];
-  const cssRules = {
-    global: [],
-    domains: {},
-    exceptions: {}
-  };
-  const lines = filterList.split('\n');
-  let id = 1;
-  let ruleCount = 0;
-  
-  for (const line of lines) {
+// Exceptions first, so a cut never turns into a broken site, then $important
+// rules, then rules anchored to a domain, then everything else.
+function getRuleValue(rule) {
+  if (rule.action.type === 'allow' || rule.action.type === 'allowAllRequests') return 3;
+  if (rule.priority >= RULE_PRIORITY.IMPORTANT) return 2;
+  if (rule.condition.requestDomains || (rule.condition.urlFilter || '').startsWith('||')) return 1;
+  return 0;
+}
 
-    if (line.startsWith('!') || line.trim() === '') continue;
-    
 
-    if (line.length < 3) continue;
-    
-    try {
+const RULE_CUT_MESSAGES = {
+  dynamicQuota: 'Over this list\'s share of the dynamic rule quota',
+  regexQuota: 'Over the regex rule quota',
+  unsafeQuota: 'Over the redirect/header rule quota'
+};
 
-      if (line.includes('##')) {
-        const cssRule = parseCSSRule(line);
-        if (cssRule) {
-          if (cssRule.isException) {
 
-            if (!cssRules.exceptions[cssRule.domain]) {
-              cssRules.exceptions[cssRule.domain] = [];
-            }
-            cssRules.exceptions[cssRule.domain].push(cssRule.selector);
-          } else {
+function isUnsafeRule(rule) {
+  return rule.action.type === 'redirect' || rule.action.type === 'modifyHeaders';
+}
 
-            if (!cssRules.domains[cssRule.domain]) {
-              cssRules.domains[cssRule.domain] = [];
-            }
-            cssRules.domains[cssRule.domain].push(cssRule.selector);
-          }
-        }
-        continue;
-      }
-      
 
-      if (line.startsWith('@@')) {
-        const exceptionRule = parseExceptionRule(line, id++);
-        if (exceptionRule) {
-          rules.push(exceptionRule);
-          ruleCount++;
-        }
-        continue;
-      }
-      
+// Each list gets a share of the dynamic quota proportional to its priority;
+// whatever a list does not need is shared out again among the others. Within a
+// list the highest-value rules are kept. Regex and unsafe rules additionally
+// draw on their own, smaller quotas, handed out in list priority order.
+function allocateRuleBudget(lists, budget, ruleSources) {
+  const ordered = [...lists].sort((a, b) => b.priority - a.priority);
+  const quotas = {};
+  let remaining = budget.dynamic;
+  let pending = ordered.filter(list => list.rules.length > 0);
+
+  while (pending.length > 0) {
+    const weight = pending.reduce((total, list) => total + list.priority, 0);
+    const share = list => Math.floor(remaining * list.priority / weight);
+    const satisfied = pending.filter(list => list.rules.length <= share(list));
+
+    if (satisfied.length === 0) {
+      pending.forEach(list => { quotas[list.key] = share(list); });
+      break;
+    }
+    satisfied.forEach(list => {
+      quotas[list.key] = list.rules.length;
+      remaining -= list.rules.length;
+    });
+    pending = pending.filter(list => !satisfied.includes(list));
+  }
 
-      if (line.startsWith('/') && line.includes('/')) {
-        const urlRule = parseURLPatternRule(line, id++);
-        if (urlRule) {
-          rules.push(urlRule);
-          ruleCount++;
-        }
-        continue;
-      }
-      
+  const counts = { dynamic: 0, unsafe: 0, regex: 0 };
+  const kept = [];
+  const cut = [];
+  const overflow = [];
+  const report = {};
+  const regexQuotaCuts = {};
+
+  const admit = rule => {
+    if (rule.condition.regexFilter && counts.regex >= budget.regex) return 'regexQuota';
+    if (isUnsafeRule(rule) && budget.unsafeDynamic !== null && counts.unsafe >= budget.unsafeDynamic) return 'unsafeQuota';
+    counts.dynamic++;
+    if (rule.condition.regexFilter) counts.regex++;
+    if (isUnsafeRule(rule)) counts.unsafe++;
+    kept.push(rule);
+    return null;
+  };
 
-      if (line.includes('$')) {
-        const resourceRule = parseResourceTypeRule(line, id++);
-        if (resourceRule) {
-          rules.push(resourceRule);
-          ruleCount++;
-        }
-        continue;
-      }
-      
+  const recordCut = (list, rule, reason) => {
+    const source = ruleSources[rule.id] || {};
+    cut.push({ list: list.key, filter: source.filter || null, line: source.line || null, reason });
+    if (reason === 'regexQuota') {
+      regexQuotaCuts[list.key] = (regexQuotaCuts[list.key] || 0) + 1;
+    }
+  };
 
-      if (line.startsWith('||') && line.endsWith('^')) {
-        const domain = line.substring(2, line.length - 1);
-        if (isValidFilterDomain(domain)) {
-          rules.push(createComprehensiveBlockRule(id++, domain));
-          ruleCount++;
-        }
-      }
+  for (const list of ordered) {
+    const ranked = list.rules
+      .map((rule, index) => ({ rule, index, value: getRuleValue(rule) }))
+      .sort((a, b) => b.value - a.value || a.index - b.index);
+    const quota = quotas[list.key] || 0;
+    let taken = 0;
+    report[list.key] = {
+      name: list.name,
+      priority: list.priority,
+      total: list.rules.length,
+      duplicates: list.duplicates || 0,
+      quota,
+      kept: 0
+    };
 
-      else if (line.startsWith('||') && line.includes('^')) {
-        const domain = line.substring(2, line.indexOf('^'));
-        if (isValidFilterDomain(domain)) {
-          rules.push(createComprehensiveBlockRule(id++, domain));
-          ruleCount++;
-        }
+    for (const { rule } of ranked) {
+      if (taken >= quota) {
+        overflow.push({ list, rule });
+        continue;
       }
-
-      else if (line.startsWith('||')) {
-        const domain = line.substring(2);
-        if (isValidFilterDomain(domain)) {
-          rules.push(createComprehensiveBlockRule(id++, domain));
-          ruleCount++;
-        }
+      const reason = admit(rule);
+      if (reason) {
+        recordCut(list, rule, reason);
+      } else {
+        taken++;
+        report[list.key].kept++;
       }
-      
+    }
+  }
 
-      if (ruleCount >= ADBLOCK_CONFIG.MAX_RULES) {
-        console.warn(`Reached maximum rule limit (${ADBLOCK_CONFIG.MAX_RULES}), stopping parsing`);
-        break;
-      }
-      
-    } catch (error) {
-      console.warn(`Failed to parse filter rule: ${line}`, error);
-      continue;
+  // Slots left over because regex or unsafe rules were refused go to the
+  // rules that missed their list's share, still in priority order.
+  for (const { list, rule } of overflow) {
+    const reason = counts.dynamic < budget.dynamic ? admit(rule) : 'dynamicQuota';
+    if (reason) {
+      recordCut(list, rule, reason);
+    } else {
+      report[list.key].kept++;
     }
   }
-  
 
-  if (Object.keys(cssRules.domains).length > 0 || cssRules.global.length > 0) {
-    chrome.storage.local.set({ cssRules: cssRules }).then(() => {
-      console.log(`Stored CSS rules for ${Object.keys(cssRules.domains).length} domains`);
-      
+  return { rules: kept, cut, lists: report, regexQuotaCuts };
+}
 
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-          if (tab.url && tab.url.startsWith('http')) {
-            chrome.tabs.sendMessage(tab.id, { 
-              action: 'updateCSS', 
-              cssRules: cssRules 
-            }).catch(() => {
 
-            });
-          }
-        });
-      });
-    });
+async function getRuleIdSlots() {
+  if (!ruleIdSlots) {
+    const data = await chrome.storage.local.get(['ruleIdSlots']);
+    ruleIdSlots = data.ruleIdSlots || {};
   }
-  
-  console.log(`Parsed ${ruleCount} valid rules from ${lines.length} lines`);
-  return rules;
+  return ruleIdSlots;
 }
 
 
-function createBlockRule(id, domain, resourceTypes) {
+// IDs are derived from a hash of the filter text inside the list's slot, so a
+// filter keeps its ID across reloads and restarts unless it collides with
+// another filter of the same list.
+async function createRuleIdAllocator(listKey) {
+  const slots = await getRuleIdSlots();
+
+  if (slots[listKey] === undefined) {
+    const taken = new Set(Object.values(slots));
+    let slot = 0;
+    while (taken.has(slot)) slot++;
+    slots[listKey] = slot;
+    await chrome.storage.local.set({ ruleIdSlots: slots });
+  }
+
+  const base = RULE_ID_RANGES.LISTS_START + slots[listKey] * RULE_ID_RANGES.LIST_RANGE_SIZE;
+  const usedOffsets = new Set();
+
   return {
-    id: id,
-    priority: 1,
-    action: { type: 'block' },
-    condition: {
-      urlFilter: `||${domain}^`,
-      resourceTypes: resourceTypes,
-      excludedInitiatorDomains: []
+    listKey,
+    allocate(filterText) {
+      let offset = hashFilterText(filterText) % RULE_ID_RANGES.LIST_RANGE_SIZE;
+      while (usedOffsets.has(offset)) {
+        offset = (offset + 1) % RULE_ID_RANGES.LIST_RANGE_SIZE;
+      }
+      usedOffsets.add(offset);
+      return base + offset;
     }
   };
 }
 
 
-function createComprehensiveBlockRule(id, domain) {
-  return {
-    id: id,
-    priority: 1,
-    action: { type: 'block' },
-    condition: {
-      urlFilter: `||${domain}`,
-      resourceTypes: [
-        'script',
-        'image', 
-        'stylesheet',
-        'object',
-        'xmlhttprequest',
-        'sub_frame',
-        'ping',
-        'csp_report',
-        'media',
-        'font',
-        'websocket',
-        'other'
-      ],
-      excludedInitiatorDomains: []
-    }
-  };
+async function releaseRuleIdSlot(listKey) {
+  const slots = await getRuleIdSlots();
+  if (slots[listKey] !== undefined) {
+    delete slots[listKey];
+    await chrome.storage.local.set({ ruleIdSlots: slots });
+  }
 }
 
 
-function isValidFilterDomain(domain) {
-  if (!domain || domain.length < 3) return false;
-  if (domain.length > 253) return false;
-  
+async function getRuleSource(ruleId) {
+  const { ruleSources } = await chrome.storage.local.get(['ruleSources']);
+  return (ruleSources && ruleSources[ruleId]) || null;
+}
+
 
-  return /^[a-z0-9.-]+$/.test(domain) && 
-         !domain.startsWith('.') && 
-         !domain.endsWith('.') &&
-         !domain.includes('..');
+function summarizeDiagnostics(filterDiagnostics, now) {
+  const summary = {};
+
+  for (const [listKey, { name, entries }] of Object.entries(filterDiagnostics)) {
+    const counts = {};
+    entries.forEach(entry => {
+      counts[entry.category] = (counts[entry.category] || 0) + 1;
+    });
+    entries.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+    summary[listKey] = {
+      name,
+      generatedAt: now,
+      total: entries.length,
+      counts,
+      entries: entries.slice(0, MAX_DIAGNOSTICS_PER_LIST)
+    };
+  }
+
+  return summary;
 }
 
 
-async function applyFilterRules(rules) {
-  try {
+async function getFilterDiagnostics(listId) {
+  const { filterDiagnostics = {} } = await chrome.storage.local.get(['filterDiagnostics']);
+  if (!listId) return filterDiagnostics;
+  return filterDiagnostics[listId] ? { [listId]: filterDiagnostics[listId] } : {};
+}
 
-    const { whitelist } = await chrome.storage.sync.get(['whitelist']);
-    
 
-    const updatedRules = rules.map(rule => ({
-      ...rule,
-      condition: {
-        ...rule.condition,
-        excludedInitiatorDomains: whitelist || []
-      }
-    }));
-    
+// cosmeticKeys lists the cosmetic:<key> entries written last time, so keys no
+// filter uses any more are removed. Tabs are only told to re-read theirs.
+async function storeCosmeticRules(cssRules, scriptletRules) {
+  const cosmeticEntries = splitCosmeticRules(cssRules);
+  const cosmeticKeys = Object.keys(cosmeticEntries);
+  const { cosmeticKeys: previousKeys = [] } = await chrome.storage.local.get(['cosmeticKeys']);
+  await chrome.storage.local.set({ ...cosmeticEntries, cosmeticKeys, scriptletRules });
+  await chrome.storage.local.remove([...previousKeys.filter(key => !cosmeticEntries[key]), 'cssRules']);
+  console.log(`Stored CSS rules for ${Object.keys(cssRules.domains).length} domains and scriptlets for ${Object.keys(scriptletRules.domains).length} domains`);
+  
 
-    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const existingRuleIds = existingRules.map(rule => rule.id);
-    
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      if (tab.url && tab.url.startsWith('http')) {
+        chrome.tabs.sendMessage(tab.id, { action: 'updateCSS' }).catch(() => {
 
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: existingRuleIds,
-      addRules: updatedRules
+        });
+      }
     });
-    
-    console.log(`Successfully applied ${updatedRules.length} filter rules (removed ${existingRuleIds.length} existing rules)`);
-    
-
-    console.log('Applied rules:', updatedRules.map(r => ({ id: r.id, urlFilter: r.condition.urlFilter })));
-    
-  } catch (error) {
-    console.error('Failed to apply filter rules:', error);
-    throw error;
-  }
+  });
 }
 
 
@@ -634,15 +1385,15 @@ async function applyFallbackRules() {
   try {
     const fallbackRules = [
 
-      createComprehensiveBlockRule(9991, 'doubleclick.net'),
-      createComprehensiveBlockRule(9992, 'googlesyndication.com'),
-      createComprehensiveBlockRule(9993, 'googleadservices.com'),
-      createComprehensiveBlockRule(9994, 'googletagmanager.com'),
-      createComprehensiveBlockRule(9995, 'google-analytics.com'),
-      createComprehensiveBlockRule(9996, 'facebook.com'),
-      createComprehensiveBlockRule(9997, 'connect.facebook.net'),
-      createComprehensiveBlockRule(9998, 'amazon-adsystem.com'),
-      createComprehensiveBlockRule(9999, 'adsystem.google.com')
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 0, 'doubleclick.net', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 1, 'googlesyndication.com', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 2, 'googleadservices.com', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 3, 'googletagmanager.com', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 4, 'google-analytics.com', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 5, 'facebook.com', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 6, 'connect.facebook.net', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 7, 'amazon-adsystem.com', RULE_PRIORITY.FALLBACK),
+      createComprehensiveBlockRule(RULE_ID_RANGES.FALLBACK_START + 8, 'adsystem.google.com', RULE_PRIORITY.FALLBACK)
     ];
     
     await applyFilterRules(fallbackRules);
@@ -654,17 +1405,15 @@ async function applyFallbackRules() {
 }
 
 
-async function exportSettings() {
+// Caches are rebuilt by the first filter update after an import, so backups
+// leave them out unless asked to.
+async function exportSettings({ includeCaches = false } = {}) {
   try {
 
     const settings = await chrome.storage.sync.get([
       'isEnabled', 'filterLists', 'whitelist', 'lastFilterUpdate', 
-      'updateFrequency', 'blockedCount', 'performanceStats'
-    ]);
-    
-
-    const cacheData = await chrome.storage.local.get([
-      'filterCache_easylist', 'filterCache_privacy', 'cssRules'
+      'updateFrequency', 'blockedCount', 'performanceStats', 'filterListPriorities', 'popupAllowlist',
+      'catalogFilterLists'
     ]);
     
 
@@ -672,12 +1421,19 @@ async function exportSettings() {
       version: '1.0',
       timestamp: new Date().toISOString(),
       settings: settings,
-      cache: cacheData,
       metadata: {
         extension: 'ZenBlock',
-        exportType: 'full_backup'
+        exportType: includeCaches ? 'full_backup' : 'settings_backup'
       }
     };
+
+    if (includeCaches) {
+      const { cosmeticKeys = [] } = await chrome.storage.local.get(['cosmeticKeys']);
+      exportData.cache = {
+        ...await chrome.storage.local.get(['cosmeticKeys', ...cosmeticKeys, 'scriptletRules', 'popupFilters']),
+        ...await getAllStoredFilterData()
+      };
+    }
     
     console.log('Settings exported successfully');
     return exportData;
@@ -705,7 +1461,15 @@ async function importSettings(importData) {
     
 
     if (importData.cache) {
-      await chrome.storage.local.set(importData.cache);
+      const localCache = {};
+      for (const [key, value] of Object.entries(importData.cache)) {
+        if (FILTER_STORE_KEY_PATTERN.test(key)) {
+          await setStoredFilterData(key, value);
+        } else {
+          localCache[key] = value;
+        }
+      }
+      await chrome.storage.local.set(localCache);
     }
     
 
@@ -757,13 +1521,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           
         case 'addCustomFilterList':
           try {
-            const customList = await addCustomFilterList(request.name, request.url, request.description);
+            const customList = await addCustomFilterList(request.name, request.url, request.description, request.format);
             sendResponse({ success: true, data: customList });
           } catch (error) {
             sendResponse({ success: false, error: error.message });
           }
           return true;
           
+        case 'getFilterListCatalog':
+          try {
+            sendResponse({ success: true, data: await getFilterListCatalog() });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'setCatalogListSubscribed':
+          try {
+            await setCatalogListSubscribed(request.listId, request.subscribed);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'openSubscribePage':
+          try {
+            await openSubscribePage(request.location, request.title, sender.tab);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'previewFilterList':
+          try {
+            sendResponse({ success: true, data: await previewFilterList(request.url) });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
         case 'removeCustomFilterList':
           try {
             const removed = await removeCustomFilterList(request.listId);
@@ -791,6 +1589,95 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           }
           return true;
           
+        case 'getRegexRuleStats':
+          try {
+            const { regexRuleStats } = await chrome.storage.local.get(['regexRuleStats']);
+            sendResponse({ success: true, data: regexRuleStats || {} });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'getRuleSource':
+          try {
+            sendResponse({ success: true, data: await getRuleSource(request.ruleId) });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'getBadfilterReport':
+          try {
+            const { badfilterReport } = await chrome.storage.local.get(['badfilterReport']);
+            sendResponse({ success: true, data: badfilterReport || { badfilterCount: 0, cancelled: [] } });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'getFilterDiagnostics':
+          try {
+            sendResponse({ success: true, data: await getFilterDiagnostics(request.listId) });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'getRuleBudgetReport':
+          try {
+            const { ruleBudgetReport } = await chrome.storage.local.get(['ruleBudgetReport']);
+            sendResponse({ success: true, data: ruleBudgetReport || null });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'getStorageReport':
+          try {
+            const report = await getFilterStoreReport();
+            report.localBytes = await chrome.storage.local.getBytesInUse(null);
+            sendResponse({ success: true, data: report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'checkRulePrecedence':
+          try {
+            const report = await checkRulePrecedence();
+            sendResponse({ success: true, data: report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+
+        case 'setFilterListPriority':
+          try {
+            await setFilterListPriority(request.listId, request.priority);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+          
+        case 'getPopupBlockerState':
+          try {
+            const state = await getPopupBlockerState(request.tabId);
+            sendResponse({ success: true, data: state });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+
+        case 'setPopupsAllowed':
+          try {
+            await setPopupsAllowed(request.hostname, request.allowed);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          return true;
+
         case 'getActivityLog':
           try {
             sendResponse({ success: true, data: activityLog.slice(0, 20) });
@@ -810,7 +1697,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           
         case 'exportSettings':
           try {
-            const exportData = await exportSettings();
+            const exportData = await exportSettings({ includeCaches: request.includeCaches === true });
             sendResponse({ success: true, data: exportData });
           } catch (error) {
             sendResponse({ success: false, error: error.message });
@@ -877,35 +1764,150 @@ async function handleGetStats(sendResponse) {
     };
     sendResponse(response);
   } catch (error) {
-    console.error('Failed to get stats:', error);
-    sendResponse({ success: false, error: error.message });
+    console.error('Failed to get stats:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+
+async function handleToggleEnabled(isEnabled) {
+  try {
+    if (typeof isEnabled !== 'boolean') {
+      throw new Error('isEnabled must be a boolean');
+    }
+    
+    await chrome.storage.sync.set({ isEnabled });
+    updateIcon(isEnabled);
+    
+
+    if (isEnabled) {
+      await loadFilterLists(0, true);
+      startStatsTracking();
+    } else {
+      // Subscribe links are not filtering and keep working while paused.
+      const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: existingRules.map(rule => rule.id).filter(id => id !== RULE_ID_RANGES.SUBSCRIBE)
+      });
+      await syncStaticRulesets([]);
+      await scheduleFilterListUpdate();
+      await registerBundledScriptlets();
+      stopStatsTracking();
+    }
+    
+  } catch (error) {
+    console.error('Failed to toggle enabled state:', error);
+  }
+}
+
+
+// Static rulesets cannot carry the whitelist as excludedInitiatorDomains, so
+// whitelisted sites get an allowAllRequests rule that outranks every filter.
+function createWhitelistRule(whitelist) {
+  return {
+    id: RULE_ID_RANGES.WHITELIST,
+    priority: RULE_PRIORITY.USER_ALLOW,
+    action: { type: 'allowAllRequests' },
+    condition: {
+      requestDomains: whitelist,
+      resourceTypes: ['main_frame', 'sub_frame']
+    }
+  };
+}
+
+
+// Sends subscribe.adblockplus.org/?location=…&title=… to subscribe.html with
+// the query string intact.
+function createSubscribeRedirectRule() {
+  return {
+    id: RULE_ID_RANGES.SUBSCRIBE,
+    priority: RULE_PRIORITY.USER_ALLOW,
+    action: {
+      type: 'redirect',
+      redirect: {
+        transform: { scheme: 'chrome-extension', host: chrome.runtime.id, path: '/subscribe.html' }
+      }
+    },
+    condition: {
+      requestDomains: ['subscribe.adblockplus.org'],
+      resourceTypes: ['main_frame']
+    }
+  };
+}
+
+
+// applyFilterRules keeps the redirect in place, but it has to work before the
+// filter lists first load and while ZenBlock is paused too.
+async function installSubscribeRedirectRule() {
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: [RULE_ID_RANGES.SUBSCRIBE],
+      addRules: [createSubscribeRedirectRule()]
+    });
+  } catch (error) {
+    console.error('Failed to install the subscribe redirect rule:', error);
   }
 }
 
 
-async function handleToggleEnabled(isEnabled) {
+// Checks the priority tiers against Chrome's own matcher. testMatchOutcome is
+// only available to unpacked extensions; elsewhere this reports unavailable.
+async function checkRulePrecedence() {
+  if (!chrome.declarativeNetRequest.testMatchOutcome) {
+    return { available: false, results: [] };
+  }
+
+  // The checks need the session ruleset to themselves; put back whatever was
+  // there once they are done.
+  const savedRules = await chrome.declarativeNetRequest.getSessionRules();
+  const results = [];
   try {
-    if (typeof isEnabled !== 'boolean') {
-      throw new Error('isEnabled must be a boolean');
-    }
-    
-    await chrome.storage.sync.set({ isEnabled });
-    updateIcon(isEnabled);
-    
+    for (const check of PRECEDENCE_CHECKS) {
+      const labels = new Map();
+      const rules = [];
+      const addRule = (rule, label) => {
+        rule.id = rules.length + 1;
+        labels.set(rule.id, label);
+        rules.push(rule);
+      };
 
-    if (isEnabled) {
-      await loadFilterLists();
-      startStatsTracking();
-    } else {
-      await chrome.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: Array.from({ length: ADBLOCK_CONFIG.MAX_RULES }, (_, i) => i + 1)
+      check.filters.forEach(filter => {
+        parseFilterList(filter, {}).forEach(rule => addRule(rule, filter));
       });
-      stopStatsTracking();
+      if (check.fallback) {
+        addRule(createComprehensiveBlockRule(0, check.fallback, RULE_PRIORITY.FALLBACK), 'fallback');
+      }
+      if (check.whitelist) {
+        addRule(createWhitelistRule([check.whitelist]), 'whitelist');
+      }
+
+      try {
+        const existing = await chrome.declarativeNetRequest.getSessionRules();
+        await chrome.declarativeNetRequest.updateSessionRules({
+          removeRuleIds: existing.map(rule => rule.id),
+          addRules: rules
+        });
+        const outcome = await chrome.declarativeNetRequest.testMatchOutcome(check.request);
+        const matched = outcome.matchedRules
+          .filter(rule => rule.rulesetId === chrome.declarativeNetRequest.SESSION_RULESET_ID)
+          .map(rule => labels.get(rule.ruleId));
+        results.push({
+          name: check.name,
+          passed: matched.length === 1 && matched[0] === check.expected,
+          expected: check.expected,
+          matched
+        });
+      } catch (error) {
+        results.push({ name: check.name, passed: false, expected: check.expected, error: error.message });
+      }
     }
-    
-  } catch (error) {
-    console.error('Failed to toggle enabled state:', error);
+  } finally {
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: (await chrome.declarativeNetRequest.getSessionRules()).map(rule => rule.id),
+      addRules: savedRules
+    });
   }
+  return { available: true, results };
 }
 
 
@@ -923,6 +1925,10 @@ async function handleUpdateWhitelist(whitelist) {
     ).map(domain => domain.trim().toLowerCase());
     
     await chrome.storage.sync.set({ whitelist: validWhitelist });
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: [RULE_ID_RANGES.WHITELIST],
+      addRules: validWhitelist.length > 0 ? [createWhitelistRule(validWhitelist)] : []
+    });
     await loadFilterLists();
     
   } catch (error) {
@@ -965,69 +1971,31 @@ async function getFilterListInfo(listId) {
 }
 
 
-async function calculateChecksum(content) {
+async function calculateChecksum(content, algorithm = 'SHA-256') {
   const encoder = new TextEncoder();
   const data = encoder.encode(content);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  const hashBuffer = await crypto.subtle.digest(algorithm, data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
 
-function deduplicateRules(rules) {
-  const seen = new Set();
-  const deduplicated = [];
-  
-  for (const rule of rules) {
-    const key = `${rule.condition.urlFilter}|${rule.action.type}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      deduplicated.push(rule);
-    }
-  }
-  
-  console.log(`Deduplicated ${rules.length} rules to ${deduplicated.length} rules`);
-  return deduplicated;
-}
-
-
 async function autoUpdateFilterLists() {
   try {
-    const settings = await chrome.storage.sync.get(['filterLists', 'lastFilterUpdate', 'updateFrequency']);
-    const now = Date.now();
-    
-
-    const filterLists = settings.filterLists || { easyList: true, privacyList: false };
-    const updateFrequency = parseInt(settings.updateFrequency || '7') * 24 * 60 * 60 * 1000;
-    
-    if (!settings.lastFilterUpdate || (now - settings.lastFilterUpdate) > updateFrequency) {
-      console.log('Starting automatic filter list update...');
-      
-
-      for (const [listId, enabled] of Object.entries(filterLists)) {
-        if (enabled) {
-          const listInfo = await getFilterListInfo(listId);
-          if (listInfo) {
-            console.log(`Updated ${listInfo.name}: ${listInfo.ruleCount} rules`);
-          }
-        }
-      }
-      
-
-      await loadFilterLists(0, true);
-      
-
-      await chrome.storage.sync.set({ lastFilterUpdate: now });
-      console.log('Automatic filter list update completed');
-    }
+    console.log('Checking filter lists for expired entries...');
+    await loadFilterLists(0, false);
   } catch (error) {
     console.error('Auto-update failed:', error);
   }
 }
 
 
-async function addCustomFilterList(name, url, description = '') {
+async function addCustomFilterList(name, url, description = '', format = 'auto') {
   try {
+    if (!FILTER_LIST_FORMATS.includes(format)) {
+      throw new Error(`Unknown filter list format: ${format}`);
+    }
+
     const listId = `custom_${Date.now()}`;
     const customList = {
       id: listId,
@@ -1040,6 +2008,7 @@ async function addCustomFilterList(name, url, description = '') {
       enabled: true,
       autoUpdate: true,
       updateFrequency: 7,
+      format: format,
       custom: true
     };
     
@@ -1049,7 +2018,7 @@ async function addCustomFilterList(name, url, description = '') {
       throw new Error(`Failed to fetch filter list: ${response.status}`);
     }
     
-    const content = await response.text();
+    const { text: content } = await finishFilterList(await response.text(), customList, url, `remote (${url})`, Date.now());
     const rules = parseFilterList(content);
     customList.ruleCount = rules.length;
     customList.lastModified = new Date().toISOString();
@@ -1073,14 +2042,82 @@ async function addCustomFilterList(name, url, description = '') {
 }
 
 
+const MAX_PREVIEW_DIAGNOSTICS = 100;
+
+
+function getSubscribeLocation(location) {
+  const url = new URL(location);
+  if (url.protocol !== 'https:') {
+    throw new Error('Only https:// filter lists can be subscribed to');
+  }
+  return url.href;
+}
+
+
+// abp:subscribe links are caught by subscribe-links.js; the page they open
+// previews the list before anything is added.
+async function openSubscribePage(location, title, tab) {
+  const params = new URLSearchParams({ location: getSubscribeLocation(location) });
+  if (title) params.set('title', title);
+
+  await chrome.tabs.create({
+    url: `${chrome.runtime.getURL('subscribe.html')}?${params}`,
+    ...(tab ? { index: tab.index + 1, openerTabId: tab.id } : {})
+  });
+}
+
+
+async function previewFilterList(location) {
+  const url = getSubscribeLocation(location);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch filter list: ${response.status}`);
+  }
+
+  const list = await finishFilterList(
+    await response.text(),
+    { name: url, url, format: 'auto' },
+    url,
+    `remote (${url})`,
+    Date.now(),
+    fetchIncludedFilterListUncached
+  );
+  const diagnostics = [];
+  const rules = parseFilterList(list.text, { diagnostics });
+
+  const counts = {};
+  diagnostics.forEach(entry => {
+    counts[entry.category] = (counts[entry.category] || 0) + 1;
+  });
+
+  const existing = Object.values(await getAllFilterLists()).find(config => config.url === url);
+  return {
+    url,
+    metadata: list.metadata,
+    format: list.format,
+    ruleCount: rules.length,
+    diagnostics: {
+      total: diagnostics.length,
+      counts,
+      entries: diagnostics.slice(0, MAX_PREVIEW_DIAGNOSTICS)
+    },
+    existing: existing ? existing.name : null
+  };
+}
+
+
 async function removeCustomFilterList(listId) {
   try {
-    const data = await chrome.storage.sync.get(['customFilterLists']);
+    const data = await chrome.storage.sync.get(['customFilterLists', 'filterListPriorities']);
     const customLists = data.customFilterLists || {};
     
     if (customLists[listId]) {
+      const filterListPriorities = data.filterListPriorities || {};
       delete customLists[listId];
-      await chrome.storage.sync.set({ customFilterLists: customLists });
+      delete filterListPriorities[listId];
+      await chrome.storage.sync.set({ customFilterLists: customLists, filterListPriorities });
+      await releaseRuleIdSlot(listId);
+      await removeStoredFilterData([`filterCache_${listId}`, `compiledCache_${listId}`]);
       
 
       await loadFilterLists(0, true);
@@ -1097,11 +2134,66 @@ async function removeCustomFilterList(listId) {
 }
 
 
+function getCatalogFilterConfig(listId) {
+  return {
+    ...FILTER_LIST_CATALOG[listId],
+    id: listId,
+    autoUpdate: true,
+    updateFrequency: 7,
+    catalog: true
+  };
+}
+
+
+async function getFilterListCatalog() {
+  const { catalogFilterLists = [] } = await chrome.storage.sync.get(['catalogFilterLists']);
+  const { suggestedFilterLists = [] } = await chrome.storage.local.get(['suggestedFilterLists']);
+
+  const lists = {};
+  for (const listId of Object.keys(FILTER_LIST_CATALOG)) {
+    lists[listId] = {
+      ...getCatalogFilterConfig(listId),
+      subscribed: catalogFilterLists.includes(listId),
+      suggested: suggestedFilterLists.includes(listId)
+    };
+  }
+  return { categories: FILTER_LIST_CATEGORIES, lists };
+}
+
+
+async function setCatalogListSubscribed(listId, subscribed) {
+  if (!FILTER_LIST_CATALOG[listId]) {
+    throw new Error('Filter list not found');
+  }
+
+  const data = await chrome.storage.sync.get(['catalogFilterLists', 'filterListPriorities']);
+  const catalogFilterLists = (data.catalogFilterLists || []).filter(id => id !== listId);
+
+  if (subscribed) {
+    catalogFilterLists.push(listId);
+    await chrome.storage.sync.set({ catalogFilterLists });
+  } else {
+    const filterListPriorities = data.filterListPriorities || {};
+    delete filterListPriorities[listId];
+    await chrome.storage.sync.set({ catalogFilterLists, filterListPriorities });
+    await releaseRuleIdSlot(listId);
+    await removeStoredFilterData([`filterCache_${listId}`, `compiledCache_${listId}`]);
+  }
+
+  await loadFilterLists(0, true);
+  console.log(`${subscribed ? 'Subscribed to' : 'Unsubscribed from'} ${FILTER_LIST_CATALOG[listId].name}`);
+}
+
+
 async function getAllFilterLists() {
   try {
-    const data = await chrome.storage.sync.get(['customFilterLists', 'filterLists']);
+    const data = await chrome.storage.sync.get(['customFilterLists', 'catalogFilterLists', 'filterLists', 'filterListPriorities']);
+    const { filterListMeta = {}, filterUpdateHistory = {} } = await chrome.storage.local.get([
+      'filterListMeta', 'filterUpdateHistory'
+    ]);
     const customLists = data.customFilterLists || {};
-    const enabledLists = data.filterLists || {};
+    const enabledLists = data.filterLists || { easyList: true, privacyList: false, trackingList: false };
+    const settingKeys = { easylist: 'easyList', privacy: 'privacyList', tracking: 'trackingList' };
     
     const allLists = {};
     
@@ -1109,13 +2201,34 @@ async function getAllFilterLists() {
     for (const [listId, config] of Object.entries(FILTER_LISTS)) {
       allLists[listId] = {
         ...config,
-        enabled: enabledLists[listId] !== false
+        enabled: listId === 'easylist'
+          ? enabledLists.easyList !== false
+          : enabledLists[settingKeys[listId]] === true,
+        priority: getFilterListPriority(listId, data.filterListPriorities),
+        metadata: filterListMeta[listId] || null,
+        updateHistory: filterUpdateHistory[listId] || []
       };
     }
     
 
     for (const [listId, config] of Object.entries(customLists)) {
-      allLists[listId] = config;
+      allLists[listId] = {
+        ...config,
+        priority: getFilterListPriority(listId, data.filterListPriorities),
+        metadata: filterListMeta[listId] || null,
+        updateHistory: filterUpdateHistory[listId] || []
+      };
+    }
+
+    for (const listId of data.catalogFilterLists || []) {
+      if (!FILTER_LIST_CATALOG[listId]) continue;
+      allLists[listId] = {
+        ...getCatalogFilterConfig(listId),
+        enabled: true,
+        priority: getFilterListPriority(listId, data.filterListPriorities),
+        metadata: filterListMeta[listId] || null,
+        updateHistory: filterUpdateHistory[listId] || []
+      };
     }
     
     return allLists;
@@ -1126,10 +2239,24 @@ async function getAllFilterLists() {
 }
 
 
-function initializePerformanceMonitoring() {
+async function setFilterListPriority(listId, priority) {
+  const value = parseInt(priority);
+  if (!(value >= 1 && value <= 3)) {
+    throw new Error('Priority must be 1, 2 or 3');
+  }
 
-  setInterval(autoUpdateFilterLists, 60 * 60 * 1000);
-  
+  const data = await chrome.storage.sync.get(['filterListPriorities', 'customFilterLists', 'catalogFilterLists']);
+  if (!FILTER_LISTS[listId] && !(data.customFilterLists || {})[listId] && !(data.catalogFilterLists || []).includes(listId)) {
+    throw new Error('Filter list not found');
+  }
+
+  const filterListPriorities = { ...(data.filterListPriorities || {}), [listId]: value };
+  await chrome.storage.sync.set({ filterListPriorities });
+  await loadFilterLists(0, true);
+}
+
+
+function initializePerformanceMonitoring() {
 
   setInterval(() => {
     RULE_CACHE.clear();
@@ -1228,39 +2355,55 @@ async function applyFilterRules(rules) {
     const { whitelist } = await chrome.storage.sync.get(['whitelist']);
     
 
-    const deduplicatedRules = deduplicateRules(rules);
+    const deduplicatedRules = mergeModifyHeadersRules(deduplicateRules(rules));
     
 
     const updatedRules = deduplicatedRules.map(rule => ({
       ...rule,
       condition: {
         ...rule.condition,
-        excludedInitiatorDomains: whitelist || []
+        excludedInitiatorDomains: [...new Set([
+          ...(rule.condition.excludedInitiatorDomains || []),
+          ...(whitelist || [])
+        ])]
       }
     }));
     
+    if (whitelist && whitelist.length > 0) {
+      updatedRules.push(createWhitelistRule(whitelist));
+    }
+    updatedRules.push(createSubscribeRedirectRule());
+    
 
+    // Rule IDs are stable per filter (see createRuleIdAllocator), so only
+    // rules that appeared, disappeared or changed need to be touched.
     const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const existingRuleIds = existingRules.map(rule => rule.id);
+    const existingFingerprints = new Map(existingRules.map(rule => [rule.id, getRuleFingerprint(rule)]));
+    const addRules = updatedRules.filter(rule => existingFingerprints.get(rule.id) !== getRuleFingerprint(rule));
+    const keptRuleIds = new Set(updatedRules.map(rule => rule.id));
+    const changedRuleIds = new Set(addRules.map(rule => rule.id));
+    const removeRuleIds = existingRules
+      .map(rule => rule.id)
+      .filter(id => !keptRuleIds.has(id) || changedRuleIds.has(id));
     
-    console.log('Applying rules:', updatedRules.length, 'removing:', existingRuleIds.length);
+    console.log(`Applying rules: ${addRules.length} added, ${removeRuleIds.length} removed, ${updatedRules.length - addRules.length} unchanged`);
     
     // Apply rules in smaller batches to prevent overwhelming
     const BATCH_SIZE = 5000;
-    if (updatedRules.length > BATCH_SIZE) {
+    if (addRules.length > BATCH_SIZE) {
       console.log('Applying rules in batches due to large rule count');
-      for (let i = 0; i < updatedRules.length; i += BATCH_SIZE) {
-        const batch = updatedRules.slice(i, i + BATCH_SIZE);
+      for (let i = 0; i < addRules.length; i += BATCH_SIZE) {
+        const batch = addRules.slice(i, i + BATCH_SIZE);
         await chrome.declarativeNetRequest.updateDynamicRules({
-          removeRuleIds: i === 0 ? existingRuleIds : [],
+          removeRuleIds: i === 0 ? removeRuleIds : [],
           addRules: batch
         });
-        console.log(`Applied batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(updatedRules.length/BATCH_SIZE)}`);
+        console.log(`Applied batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(addRules.length/BATCH_SIZE)}`);
       }
-    } else {
+    } else if (addRules.length > 0 || removeRuleIds.length > 0) {
       await chrome.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: existingRuleIds,
-        addRules: updatedRules
+        removeRuleIds,
+        addRules
       });
     }
     
@@ -1275,9 +2418,6 @@ async function applyFilterRules(rules) {
 
     logActivity('rulesApplied', 'extension', `Applied ${updatedRules.length} rules`);
     
-
-    console.log('Applied rules:', updatedRules.map(r => ({ id: r.id, urlFilter: r.condition.urlFilter })));
-    
   } catch (error) {
     console.error('Failed to apply filter rules:', error);
     logActivity('error', 'extension', `Failed to apply rules: ${error.message}`);
@@ -1286,6 +2426,19 @@ async function applyFilterRules(rules) {
 }
 
 
+// getDynamicRules hands rules back with empty lists dropped, so compare a
+// normalised form rather than the raw objects.
+function getRuleFingerprint(rule) {
+  return JSON.stringify(rule, (key, value) => {
+    if (Array.isArray(value)) return value.length > 0 ? value : undefined;
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    }
+    return value;
+  });
+}
+
+
 function logPerformance(operation, responseTime, details = 0) {
   chrome.storage.sync.get(['performanceStats'], (data) => {
     const stats = data.performanceStats || { 
@@ -1450,6 +2603,353 @@ function stopStatsTracking() {
 }
 
 
+let scriptletRulesCache = null;
+let documentExceptionsCache = null;
+let bundledScriptletsCache = null;
+let bundledScriptletsRegistration = Promise.resolve();
+
+const BUNDLED_SCRIPTLETS_ID_PREFIX = 'bundled-scriptlets-';
+
+
+function matchesPageException(exception, url, hostname) {
+  const onDomain = domain => hostname === domain || hostname.endsWith(`.${domain}`);
+  if (exception.domains.length > 0 && !exception.domains.some(onDomain)) return false;
+  if (exception.excludedDomains.some(onDomain)) return false;
+  return !exception.urlPattern || new RegExp(exception.urlPattern, 'i').test(url);
+}
+
+
+async function isDocumentExcepted(url, hostname) {
+  if (!documentExceptionsCache) {
+    const { [COSMETIC_GLOBAL_KEY]: globalEntry } = await chrome.storage.local.get([COSMETIC_GLOBAL_KEY]);
+    documentExceptionsCache = ((globalEntry && globalEntry.pageExceptions) || [])
+      .filter(exception => exception.types.includes('document'));
+  }
+  return documentExceptionsCache.some(exception => matchesPageException(exception, url, hostname));
+}
+
+
+async function getScriptletsForHostname(hostname) {
+  if (!scriptletRulesCache) {
+    const { scriptletRules } = await chrome.storage.local.get(['scriptletRules']);
+    scriptletRulesCache = scriptletRules || { domains: {}, negated: {}, exceptions: {} };
+  }
+  return resolveScriptletCalls(scriptletRulesCache, getCosmeticHostnameKeys(hostname));
+}
+
+
+function getHostMatchPatterns(hostnames) {
+  return hostnames.flatMap(hostname => [`*://${hostname}/*`, `*://*.${hostname}/*`]);
+}
+
+
+// Match patterns for the pages a bundled list has scriptlets for. Generic
+// and entity (example.*) entries cannot be told apart by a pattern, so those
+// lists match every page and the file itself picks the calls.
+function getScriptletMatches(scriptletRules) {
+  const keys = Object.keys(scriptletRules.domains);
+  if (keys.some(key => key === 'global' || key.endsWith('.*'))) {
+    return ['*://*/*'];
+  }
+  return getHostMatchPatterns(keys);
+}
+
+
+// The hosts whose top frames the registered files have to leave to the
+// onCommitted injection: whitelisted sites, $document exceptions and hosts
+// with scriptlet exceptions, which the files do not know about. null when an
+// exception cannot be pinned to hosts, in which case nothing is registered.
+function getBundledScriptletExclusions(whitelist, pageExceptions, scriptletExceptions) {
+  const hosts = new Set(whitelist);
+
+  for (const exception of pageExceptions) {
+    if (!exception.types.includes('document')) continue;
+    const exceptionHosts = exception.hostname ? [exception.hostname] : exception.domains;
+    if (exceptionHosts.length === 0) return null;
+    exceptionHosts.forEach(host => hosts.add(host));
+  }
+  Object.keys(scriptletExceptions).forEach(key => hosts.add(key));
+
+  if ([...hosts].some(host => host === 'global' || host.includes('*'))) return null;
+  return [...hosts];
+}
+
+
+// The bundled lists' scriptlets run from files tools/compile-filters.js
+// generates, registered in the page's main world at document_start so they
+// are in place before the page's own scripts. A registered script cannot tell
+// which page its frame is in, so they only run in top frames. Frames, excluded
+// hosts and the downloaded lists' scriptlets go through the onCommitted
+// injection below. Calls are queued so overlapping reloads do not register the
+// same ids twice.
+function registerBundledScriptlets() {
+  bundledScriptletsRegistration = bundledScriptletsRegistration.then(updateBundledScriptletRegistration);
+  return bundledScriptletsRegistration;
+}
+
+
+async function updateBundledScriptletRegistration() {
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const registeredIds = registered.map(script => script.id).filter(id => id.startsWith(BUNDLED_SCRIPTLETS_ID_PREFIX));
+    if (registeredIds.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: registeredIds });
+    }
+
+    const { isEnabled, whitelist = [] } = await chrome.storage.sync.get(['isEnabled', 'whitelist']);
+    const stored = await chrome.storage.local.get(['bundledScriptlets', 'scriptletRules', COSMETIC_GLOBAL_KEY]);
+    const bundledScriptlets = stored.bundledScriptlets || { lists: [] };
+    const globalEntry = stored[COSMETIC_GLOBAL_KEY] || {};
+    const excludedHosts = isEnabled === false || bundledScriptlets.lists.length === 0
+      ? null
+      : getBundledScriptletExclusions(
+        whitelist,
+        globalEntry.pageExceptions || [],
+        (stored.scriptletRules || { exceptions: {} }).exceptions
+      );
+
+    if (excludedHosts) {
+      await chrome.scripting.registerContentScripts(bundledScriptlets.lists.map(list => ({
+        id: `${BUNDLED_SCRIPTLETS_ID_PREFIX}${list.rulesetId}`,
+        js: [list.file],
+        matches: list.matches,
+        excludeMatches: getHostMatchPatterns(excludedHosts),
+        runAt: 'document_start',
+        world: 'MAIN',
+        allFrames: false
+      })));
+    }
+    await chrome.storage.local.set({ bundledScriptletExclusions: excludedHosts });
+  } catch (error) {
+    console.error('Failed to register bundled scriptlets:', error);
+    await chrome.storage.local.set({ bundledScriptletExclusions: null });
+  }
+}
+
+
+// The calls a registered file already made in a top frame on this host.
+async function getRegisteredScriptletCalls(hostname) {
+  if (!bundledScriptletsCache) {
+    const { bundledScriptlets, bundledScriptletExclusions } = await chrome.storage.local.get([
+      'bundledScriptlets', 'bundledScriptletExclusions'
+    ]);
+    bundledScriptletsCache = { bundledScriptlets, excludedHosts: bundledScriptletExclusions };
+  }
+
+  const { bundledScriptlets, excludedHosts } = bundledScriptletsCache;
+  if (!bundledScriptlets || !excludedHosts) return [];
+  if (excludedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) return [];
+  return resolveScriptletCalls(bundledScriptlets.rules, getCosmeticHostnameKeys(hostname));
+}
+
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.scriptletRules) {
+    scriptletRulesCache = null;
+  }
+  if (areaName === 'local' && changes[COSMETIC_GLOBAL_KEY]) {
+    documentExceptionsCache = null;
+  }
+  if (areaName === 'local' && (changes.bundledScriptlets || changes.bundledScriptletExclusions)) {
+    bundledScriptletsCache = null;
+  }
+  if (areaName === 'local' && changes.popupFilters) {
+    popupFiltersCache = null;
+  }
+});
+
+
+// Everything registerBundledScriptlets does not cover is injected from here,
+// and that is best-effort: onCommitted fires as the response starts to arrive
+// and executeScript is another round trip, so an inline script at the top of
+// the page can run before the scriptlets do.
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  if (!details.url || !details.url.startsWith('http')) return;
+
+  try {
+    const { isEnabled, whitelist } = await chrome.storage.sync.get(['isEnabled', 'whitelist']);
+    if (isEnabled === false) return;
+
+    // Whitelisting and $document exceptions go by the page, not the frame.
+    const pageUrl = details.frameId === 0
+      ? details.url
+      : ((await chrome.webNavigation.getFrame({ tabId: details.tabId, frameId: 0 })) || {}).url;
+    if (!pageUrl) return;
+    const pageHostname = new URL(pageUrl).hostname;
+    if ((whitelist || []).some(domain => pageHostname === domain || pageHostname.endsWith(`.${domain}`))) return;
+    if (await isDocumentExcepted(pageUrl, pageHostname)) return;
+
+    const hostname = new URL(details.url).hostname;
+    let calls = await getScriptletsForHostname(hostname);
+    if (details.frameId === 0) {
+      const callKey = call => JSON.stringify([call.name, call.args]);
+      const registeredCalls = new Set((await getRegisteredScriptletCalls(hostname)).map(callKey));
+      calls = calls.filter(call => !registeredCalls.has(callKey(call)));
+    }
+    if (calls.length === 0) return;
+
+    await chrome.scripting.executeScript({
+      target: { tabId: details.tabId, frameIds: [details.frameId] },
+      world: 'MAIN',
+      injectImmediately: true,
+      func: zenblockScriptlets,
+      args: [calls]
+    });
+  } catch (error) {
+    console.warn('Failed to inject scriptlets:', error);
+  }
+});
+
+
+let popupFiltersCache = null;
+
+// Tabs a page opened (onCreatedNavigationTarget), keyed by tab id, holding the
+// opener until the new tab's first real navigation has been checked against
+// $popup filters. Tabs the user opens from a link are not popups and are not
+// tracked.
+const pendingPopups = new Map();
+
+
+function isSameParty(hostname, otherHostname) {
+  return hostname === otherHostname ||
+    hostname.endsWith(`.${otherHostname}`) ||
+    otherHostname.endsWith(`.${hostname}`);
+}
+
+
+function matchesPopupFilter(filter, url, openerUrl) {
+  const openerHostname = new URL(openerUrl).hostname;
+  if (filter.domainType) {
+    const sameParty = isSameParty(new URL(url).hostname, openerHostname);
+    if (sameParty !== (filter.domainType === 'firstParty')) return false;
+  }
+  return matchesPageException(filter, url, openerHostname);
+}
+
+
+async function shouldBlockPopup(url, openerUrl) {
+  const { isEnabled, whitelist, popupAllowlist } = await chrome.storage.sync.get([
+    'isEnabled', 'whitelist', 'popupAllowlist'
+  ]);
+  if (isEnabled === false) return false;
+
+  const openerHostname = new URL(openerUrl).hostname;
+  const onDomain = domain => openerHostname === domain || openerHostname.endsWith(`.${domain}`);
+  if ((whitelist || []).some(onDomain) || (popupAllowlist || []).some(onDomain)) return false;
+
+  if (!popupFiltersCache) {
+    const { popupFilters } = await chrome.storage.local.get(['popupFilters']);
+    popupFiltersCache = popupFilters || { blocks: [], exceptions: [] };
+  }
+
+  const matches = filter => {
+    try {
+      return matchesPopupFilter(filter, url, openerUrl);
+    } catch (error) {
+      console.warn('Invalid popup filter:', filter, error);
+      return false;
+    }
+  };
+  return popupFiltersCache.blocks.some(matches) && !popupFiltersCache.exceptions.some(matches);
+}
+
+
+async function checkPopup(tabId, url) {
+  const opener = pendingPopups.get(tabId);
+  if (!opener) return;
+  pendingPopups.delete(tabId);
+  const openerUrl = opener.url;
+  if (!url || !url.startsWith('http') || !openerUrl.startsWith('http')) return;
+
+  try {
+    if (!(await shouldBlockPopup(url, openerUrl))) return;
+
+    await chrome.tabs.remove(tabId);
+    const key = `blockedPopups_${opener.tabId}`;
+    const counts = await chrome.storage.session.get([key]);
+    await chrome.storage.session.set({ [key]: (counts[key] || 0) + 1 });
+    console.log(`Blocked popup ${url} opened by ${openerUrl}`);
+  } catch (error) {
+    console.warn('Failed to block popup:', error);
+  }
+}
+
+
+async function trackPopup(tabId, openerTabId, url) {
+  const opener = { tabId: openerTabId, url: null };
+  pendingPopups.set(tabId, opener);
+
+  try {
+    opener.url = (await chrome.tabs.get(openerTabId)).url;
+    if (!opener.url) {
+      pendingPopups.delete(tabId);
+      return;
+    }
+    // A popup opened on about:blank is checked once it navigates away.
+    const target = opener.navigatedTo || url;
+    if (target && target !== 'about:blank') {
+      await checkPopup(tabId, target);
+    }
+  } catch (error) {
+    pendingPopups.delete(tabId);
+    console.warn('Failed to track popup:', error);
+  }
+}
+
+
+async function getPopupBlockerState(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const hostname = tab.url && tab.url.startsWith('http') ? new URL(tab.url).hostname : null;
+  const key = `blockedPopups_${tabId}`;
+  const counts = await chrome.storage.session.get([key]);
+  const { popupAllowlist = [] } = await chrome.storage.sync.get(['popupAllowlist']);
+
+  return {
+    hostname,
+    blocked: counts[key] || 0,
+    allowed: Boolean(hostname) && popupAllowlist.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+  };
+}
+
+
+async function setPopupsAllowed(hostname, allowed) {
+  if (typeof hostname !== 'string' || !isValidFilterDomain(hostname)) {
+    throw new Error('Invalid hostname');
+  }
+
+  const { popupAllowlist = [] } = await chrome.storage.sync.get(['popupAllowlist']);
+  const domain = hostname.toLowerCase();
+  const updated = popupAllowlist.filter(entry => entry !== domain);
+  if (allowed) {
+    updated.push(domain);
+  }
+  await chrome.storage.sync.set({ popupAllowlist: updated });
+}
+
+
+chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+  trackPopup(details.tabId, details.sourceTabId, details.url);
+});
+
+
+// Popups often start on about:blank and navigate afterwards.
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  const opener = pendingPopups.get(details.tabId);
+  if (details.frameId !== 0 || !opener || details.url === 'about:blank') return;
+  if (opener.url) {
+    checkPopup(details.tabId, details.url);
+  } else {
+    opener.navigatedTo = details.url;
+  }
+});
+
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  pendingPopups.delete(tabId);
+  chrome.storage.session.remove(`blockedPopups_${tabId}`);
+});
+
+
 chrome.storage.sync.get(['isEnabled'], (data) => {
   updateIcon(data.isEnabled !== false);
   
@@ -1,3 +1,430 @@
+const PROCEDURAL_OPERATORS = [
+  'has-text', 'contains', '-abp-contains', 'has', '-abp-has', 'not', 'upward', 'nth-ancestor',
+  'xpath', 'matches-css', 'matches-css-before', 'matches-css-after', 'min-text-length',
+  'matches-path', 'remove'
+];
+
+const PROCEDURAL_ONLY_OPERATORS = PROCEDURAL_OPERATORS.filter(name => !['has', 'not'].includes(name));
+
+const PROCEDURAL_BATCH_DELAY = 100;
+
+
+class ProceduralFilterEngine {
+  constructor(cssInjector) {
+    this.cssInjector = cssInjector;
+    this.filters = [];
+    this.observer = null;
+    this.batchTimer = null;
+    this.handledElements = new WeakSet();
+  }
+
+  static isProcedural(selector) {
+    return ProceduralFilterEngine.findOperators(selector)
+      .some(operator => PROCEDURAL_ONLY_OPERATORS.includes(operator.name) ||
+        ProceduralFilterEngine.isProcedural(operator.arg));
+  }
+
+  static findOperators(selector) {
+    const operators = [];
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ':' && depth === 0) {
+        const match = selector.substring(i + 1).match(/^(-?[a-z][a-z-]*)\(/);
+        if (!match || !PROCEDURAL_OPERATORS.includes(match[1])) continue;
+
+        const argStart = i + match[0].length + 1;
+        const argEnd = ProceduralFilterEngine.findClosingParen(selector, argStart);
+        if (argEnd === -1) {
+          throw new Error(`Unbalanced parentheses in ${selector}`);
+        }
+
+        operators.push({
+          name: match[1],
+          arg: selector.substring(argStart, argEnd).trim(),
+          start: i,
+          end: argEnd + 1
+        });
+        i = argEnd;
+      }
+    }
+
+    return operators;
+  }
+
+  static findClosingParen(text, start) {
+    let depth = 1;
+    let quote = null;
+    let inRegex = text[start] === '/';
+
+    for (let i = inRegex ? start + 1 : start; i < text.length; i++) {
+      const char = text[i];
+
+      if (char === '\\') {
+        i++;
+      } else if (inRegex) {
+        if (char === '/') inRegex = false;
+      } else if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  }
+
+  static compile(selector) {
+    const operators = ProceduralFilterEngine.findOperators(selector);
+    const firstProcedural = operators.find(operator =>
+      PROCEDURAL_ONLY_OPERATORS.includes(operator.name) || ProceduralFilterEngine.isProcedural(operator.arg));
+
+    if (!firstProcedural) {
+      return { prefix: selector.trim(), tasks: [], action: 'hide' };
+    }
+
+    const filter = {
+      prefix: selector.substring(0, firstProcedural.start).trim(),
+      tasks: [],
+      action: 'hide'
+    };
+
+    let cursor = firstProcedural.start;
+    for (const operator of operators.filter(op => op.start >= firstProcedural.start)) {
+      ProceduralFilterEngine.compileNativeSegment(selector.substring(cursor, operator.start), filter.tasks);
+
+      if (filter.action === 'remove') {
+        throw new Error(`:remove() must be the last operator in ${selector}`);
+      }
+
+      if (operator.name === 'remove') {
+        filter.action = 'remove';
+      } else {
+        filter.tasks.push(ProceduralFilterEngine.compileOperator(operator));
+      }
+      cursor = operator.end;
+    }
+    ProceduralFilterEngine.compileNativeSegment(selector.substring(cursor), filter.tasks);
+
+    if (!filter.prefix && filter.tasks.length > 0 && filter.tasks[0].type !== 'xpath') {
+      filter.prefix = '*';
+    }
+
+    return filter;
+  }
+
+  static compileNativeSegment(segment, tasks) {
+    if (!segment.trim()) return;
+
+    if (/^\s*[>+~]/.test(segment) || /^\s/.test(segment)) {
+      tasks.push({ type: 'spath', selector: segment.trim(), combinator: segment.trim()[0] });
+      return;
+    }
+
+    const combinatorMatch = segment.match(/^([^\s>+~]+)(\s*[>+~]?\s*.*)$/);
+    tasks.push({ type: 'matches', selector: combinatorMatch[1] });
+    if (combinatorMatch[2].trim()) {
+      const rest = combinatorMatch[2];
+      tasks.push({ type: 'spath', selector: rest.trim(), combinator: rest.trim()[0] });
+    }
+  }
+
+  static compileOperator({ name, arg }) {
+    switch (name) {
+      case 'has-text':
+      case 'contains':
+      case '-abp-contains':
+        return { type: 'has-text', pattern: ProceduralFilterEngine.compileTextPattern(arg) };
+
+      case 'has':
+      case '-abp-has':
+      case 'not': {
+        const isProcedural = ProceduralFilterEngine.isProcedural(arg);
+        return {
+          type: name === 'not' ? 'if-not' : 'if',
+          selector: isProcedural ? null : arg,
+          filter: isProcedural ? ProceduralFilterEngine.compile(arg) : null
+        };
+      }
+
+      case 'upward':
+      case 'nth-ancestor':
+        if (/^\d+$/.test(arg)) {
+          const count = parseInt(arg, 10);
+          if (count < 1 || count > 256) throw new Error(`Invalid :${name}() count: ${arg}`);
+          return { type: 'upward', count };
+        }
+        if (name === 'nth-ancestor') throw new Error(`Invalid :nth-ancestor() argument: ${arg}`);
+        document.createDocumentFragment().querySelector(arg);
+        return { type: 'upward', selector: arg };
+
+      case 'xpath':
+        document.createExpression(arg);
+        return { type: 'xpath', expression: arg };
+
+      case 'matches-css':
+      case 'matches-css-before':
+      case 'matches-css-after': {
+        const separator = arg.indexOf(':');
+        if (separator === -1) throw new Error(`Invalid :${name}() argument: ${arg}`);
+        const value = arg.substring(separator + 1).trim();
+        return {
+          type: 'matches-css',
+          pseudo: name === 'matches-css' ? null : `::${name.substring('matches-css-'.length)}`,
+          property: arg.substring(0, separator).trim(),
+          pattern: /^\/.*\/[imsu]*$/.test(value)
+            ? ProceduralFilterEngine.compileTextPattern(value)
+            : new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '.*')}$`)
+        };
+      }
+
+      case 'min-text-length': {
+        const length = parseInt(arg, 10);
+        if (Number.isNaN(length)) throw new Error(`Invalid :min-text-length() argument: ${arg}`);
+        return { type: 'min-text-length', length };
+      }
+
+      case 'matches-path':
+        return { type: 'matches-path', pattern: ProceduralFilterEngine.compileTextPattern(arg) };
+
+      default:
+        throw new Error(`Unsupported procedural operator :${name}()`);
+    }
+  }
+
+  static compileTextPattern(arg) {
+    const regexMatch = arg.match(/^\/(.*)\/([imsu]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    }
+    const text = arg.replace(/^(["'])(.*)\1$/, '$2');
+    return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  }
+
+  setFilters(selectors, styledSelectors = []) {
+    this.filters = [];
+
+    for (const selector of selectors) {
+      try {
+        this.filters.push(ProceduralFilterEngine.compile(selector));
+      } catch (error) {
+        console.warn(`Invalid procedural filter: ${selector}`, error);
+      }
+    }
+
+    for (const { selector, style } of styledSelectors) {
+      try {
+        const filter = ProceduralFilterEngine.compile(selector);
+        if (filter.action !== 'remove') {
+          filter.action = 'style';
+          filter.style = style;
+        }
+        this.filters.push(filter);
+      } catch (error) {
+        console.warn(`Invalid procedural filter: ${selector}`, error);
+      }
+    }
+
+    if (this.filters.length > 0) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  start() {
+    this.run();
+
+    if (this.observer) return;
+
+    this.observer = new MutationObserver(() => this.scheduleRun());
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['class', 'id', 'style']
+    });
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+  }
+
+  scheduleRun() {
+    if (this.batchTimer) return;
+
+    this.batchTimer = setTimeout(() => {
+      this.batchTimer = null;
+      this.run();
+    }, PROCEDURAL_BATCH_DELAY);
+  }
+
+  run() {
+    for (const filter of this.filters) {
+      let elements;
+      try {
+        elements = this.evaluate(filter, [document]);
+      } catch (error) {
+        console.warn('Procedural filter evaluation failed:', error);
+        continue;
+      }
+
+      for (const element of elements) {
+        if (filter.action === 'style') {
+          this.cssInjector.applyStyle(element, filter.style);
+          continue;
+        }
+
+        if (this.handledElements.has(element)) continue;
+
+        if (filter.action === 'remove') {
+          element.remove();
+        } else {
+          this.handledElements.add(element);
+          this.cssInjector.hideElement(element);
+        }
+      }
+    }
+  }
+
+  evaluate(filter, roots) {
+    let elements = [];
+
+    for (const root of roots) {
+      if (!filter.prefix) {
+        elements.push(root);
+      } else if (root === document) {
+        elements.push(...document.querySelectorAll(filter.prefix));
+      } else {
+        elements.push(...this.queryRelative(root, filter.prefix));
+      }
+    }
+
+    for (const task of filter.tasks) {
+      elements = this.applyTask(task, elements);
+      if (elements.length === 0) break;
+    }
+
+    return elements;
+  }
+
+  queryRelative(element, selector) {
+    const combinator = selector[0];
+
+    if (combinator === '+' || combinator === '~') {
+      const siblingSelector = selector.substring(1).trim();
+      const siblings = [];
+      let sibling = element.nextElementSibling;
+      while (sibling) {
+        if (sibling.matches(siblingSelector)) siblings.push(sibling);
+        if (combinator === '+') break;
+        sibling = sibling.nextElementSibling;
+      }
+      return siblings;
+    }
+
+    return Array.from(element.querySelectorAll(`:scope ${selector}`));
+  }
+
+  applyTask(task, elements) {
+    const results = new Set();
+
+    for (const element of elements) {
+      switch (task.type) {
+        case 'spath':
+          this.queryRelative(element, task.selector).forEach(match => results.add(match));
+          break;
+
+        case 'matches':
+          if (element.matches && element.matches(task.selector)) results.add(element);
+          break;
+
+        case 'has-text':
+          if (task.pattern.test(element.textContent)) results.add(element);
+          break;
+
+        case 'if':
+        case 'if-not': {
+          const matched = task.filter
+            ? this.evaluate(task.filter, [element]).length > 0
+            : element.matches(`:has(${task.selector})`);
+          if (matched === (task.type === 'if')) results.add(element);
+          break;
+        }
+
+        case 'upward': {
+          let ancestor = null;
+          if (task.count) {
+            ancestor = element;
+            for (let i = 0; i < task.count && ancestor; i++) {
+              ancestor = ancestor.parentElement;
+            }
+          } else if (element.parentElement) {
+            ancestor = element.parentElement.closest(task.selector);
+          }
+          if (ancestor && ancestor !== document.documentElement && ancestor !== document.body) {
+            results.add(ancestor);
+          }
+          break;
+        }
+
+        case 'xpath': {
+          const snapshot = document.evaluate(
+            task.expression, element, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+          for (let i = 0; i < snapshot.snapshotLength; i++) {
+            const node = snapshot.snapshotItem(i);
+            if (node.nodeType === Node.ELEMENT_NODE) results.add(node);
+          }
+          break;
+        }
+
+        case 'matches-css': {
+          const style = window.getComputedStyle(element, task.pseudo);
+          if (style && task.pattern.test(style.getPropertyValue(task.property))) results.add(element);
+          break;
+        }
+
+        case 'min-text-length':
+          if (element.textContent.length >= task.length) results.add(element);
+          break;
+
+        case 'matches-path':
+          if (task.pattern.test(window.location.pathname + window.location.search)) results.add(element);
+          break;
+      }
+    }
+
+    return Array.from(results);
+  }
+}
+
+
 
 
 
@@ -5,11 +432,15 @@ class CSSInjector {
   constructor() {
     this.injectedStyles = new Map();
     this.domain = window.location.hostname;
+    this.hostnameKeys = getCosmeticHostnameKeys(this.domain);
     this.isInitialized = false;
     this.domObserver = null;
     this.processedElements = new WeakSet();
     this.adblockDetectors = new Set();
     this.dynamicRules = new Map();
+    this.heuristicFiltering = false;
+    this.proceduralEngine = new ProceduralFilterEngine(this);
+    this.pageExceptionTypes = new Set();
   }
 
   async init() {
@@ -18,7 +449,13 @@ class CSSInjector {
     console.log(`ZenBlock CSS Injector initialized for ${this.domain}`);
     
 
-    this.setupAntiDetection();
+    // The keyword heuristics and anti-detection overrides also catch page
+    // elements no filter names (an id or class containing "ad", such as
+    // "header"), so they only run when turned on in the options.
+    this.heuristicFiltering = await this.isHeuristicFilteringEnabled();
+    if (this.heuristicFiltering) {
+      this.setupAntiDetection();
+    }
     
 
     const cssRules = await this.getCSSRules();
@@ -29,7 +466,7 @@ class CSSInjector {
 
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'updateCSS') {
-        this.injectCSSRules(message.cssRules || {});
+        this.getCSSRules().then(cssRules => this.injectCSSRules(cssRules));
         sendResponse({ success: true });
       } else if (message.action === 'hideElements') {
         this.hideElements(message.selectors || []);
@@ -185,10 +622,19 @@ class CSSInjector {
     hideYouTubeAds();
   }
 
+  async isHeuristicFilteringEnabled() {
+    try {
+      const { heuristicFiltering } = await chrome.storage.sync.get(['heuristicFiltering']);
+      return heuristicFiltering === true;
+    } catch (error) {
+      console.error('Failed to read the heuristic filtering setting:', error);
+      return false;
+    }
+  }
+
   async getCSSRules() {
     try {
-      const result = await chrome.storage.local.get(['cssRules']);
-      return result.cssRules || {};
+      return joinCosmeticRules(await chrome.storage.local.get(getCosmeticStorageKeys(this.domain)));
     } catch (error) {
       console.error('Failed to get CSS rules:', error);
       return {};
@@ -200,52 +646,175 @@ class CSSInjector {
     this.clearExistingStyles();
 
 
+    this.pageExceptionTypes = this.getPageExceptionTypes(cssRules.pageExceptions || []);
     const applicableRules = this.getApplicableRules(cssRules);
+    const nativeRules = [];
+    const proceduralRules = [];
+
+    applicableRules.forEach(selector => {
+      try {
+        if (ProceduralFilterEngine.isProcedural(selector)) {
+          proceduralRules.push(selector);
+        } else {
+          nativeRules.push(selector);
+        }
+      } catch (error) {
+        console.warn(`Invalid cosmetic filter: ${selector}`, error);
+      }
+    });
+
+    const nativeStyles = [];
+    const proceduralStyles = [];
+
+    this.getApplicableStyles(cssRules).forEach(rule => {
+      const braceIndex = rule.lastIndexOf('{');
+      const selector = rule.substring(0, braceIndex).trim();
+      try {
+        if (ProceduralFilterEngine.isProcedural(selector)) {
+          proceduralStyles.push({ selector, style: rule.substring(braceIndex + 1, rule.lastIndexOf('}')).trim() });
+        } else {
+          nativeStyles.push(rule);
+        }
+      } catch (error) {
+        console.warn(`Invalid CSS injection filter: ${rule}`, error);
+      }
+    });
+
+    this.proceduralEngine.setFilters(proceduralRules, proceduralStyles);
+
+    if (nativeStyles.length > 0) {
+      const styleId = 'zenblock-css-injection';
+      const styleElement = document.createElement('style');
+      styleElement.id = styleId;
+      styleElement.textContent = nativeStyles.join('\n');
+
+      (document.head || document.documentElement).appendChild(styleElement);
+      this.injectedStyles.set(styleId, styleElement);
+    }
     
-    if (applicableRules.length > 0) {
+    if (nativeRules.length > 0) {
       const styleId = 'zenblock-element-hiding';
       const styleElement = document.createElement('style');
       styleElement.id = styleId;
-      styleElement.textContent = applicableRules.join('\n');
+      styleElement.textContent = nativeRules
+        .map(selector => `${selector} { display: none !important; }`)
+        .join('\n');
       
 
       (document.head || document.documentElement).appendChild(styleElement);
       this.injectedStyles.set(styleId, styleElement);
       
-      console.log(`Injected ${applicableRules.length} CSS rules for ${this.domain}`);
+      console.log(`Injected ${nativeRules.length} CSS rules for ${this.domain}`);
+    }
+
+    if (proceduralRules.length > 0) {
+      console.log(`Applied ${proceduralRules.length} procedural filters for ${this.domain}`);
     }
   }
 
   getApplicableRules(cssRules) {
-    const rules = [];
     const currentDomain = this.domain;
-    const currentPath = window.location.pathname;
-    
+    const pageExceptionTypes = this.pageExceptionTypes;
 
-    if (cssRules.global) {
-      rules.push(...cssRules.global);
+    if (pageExceptionTypes.has('document') || pageExceptionTypes.has('elemhide')) {
+      console.log(`Cosmetic filtering disabled on ${currentDomain} by a page exception`);
+      return [];
     }
-    
 
-    if (cssRules.domains && cssRules.domains[currentDomain]) {
-      rules.push(...cssRules.domains[currentDomain]);
+    const rules = this.resolveCosmeticEntries(cssRules.domains || {}, cssRules.negated, {
+      generic: cssRules.global
+    });
+    const exceptionRules = new Set(this.resolveCosmeticEntries(cssRules.exceptions || {}, null, {
+      isException: true
+    }));
+
+    return rules.filter(rule => !exceptionRules.has(rule));
+  }
+
+  getApplicableStyles(cssRules) {
+    const pageExceptionTypes = this.pageExceptionTypes;
+    const styles = cssRules.styles || {};
+    const styleExceptions = cssRules.styleExceptions || {};
+
+    if (pageExceptionTypes.has('document') || pageExceptionTypes.has('elemhide')) {
+      return [];
     }
-    
 
-    const exceptionRules = [];
-    if (cssRules.exceptions && cssRules.exceptions[currentDomain]) {
-      exceptionRules.push(...cssRules.exceptions[currentDomain]);
+    const rules = this.resolveCosmeticEntries(styles, cssRules.styleNegated);
+    const exceptionRules = new Set(this.resolveCosmeticEntries(styleExceptions, null, { isException: true }));
+    return rules.filter(rule => !exceptionRules.has(rule));
+  }
+
+  // Entries are filed under 'global' (or in the separate generic list for
+  // hides) or a domain/entity key (see addCosmeticEntry in filter-parser.js),
+  // so a page needs one lookup per hostname key. negated[key][filedUnder]
+  // lists the entries a ~key filter took back. Exceptions always apply,
+  // whatever the page exception types.
+  resolveCosmeticEntries(entriesByKey, negated, options = {}) {
+    const { generic, isException } = options;
+    const pageExceptionTypes = this.pageExceptionTypes;
+    const takenBack = new Set();
+    for (const key of this.hostnameKeys) {
+      for (const [filedUnder, entries] of Object.entries((negated || {})[key] || {})) {
+        entries.forEach(entry => takenBack.add(`${filedUnder}\n${entry}`));
+      }
+    }
+
+    const keys = [];
+    if (isException || !pageExceptionTypes.has('generichide')) {
+      keys.push('global');
+    }
+    if (isException || !pageExceptionTypes.has('specifichide')) {
+      keys.push(...this.hostnameKeys);
     }
-    
 
-    return rules.filter(rule => {
-      return !exceptionRules.some(exception => {
+    const resolved = [];
+    for (const key of keys) {
+      const entries = key === 'global' && generic ? generic : entriesByKey[key];
+      for (const entry of (entries || [])) {
+        if (!takenBack.has(`${key}\n${entry}`)) resolved.push(entry);
+      }
+    }
+    return resolved;
+  }
 
-        return rule.includes(exception.replace('@@', ''));
-      });
+  applyStyle(element, style) {
+    if (!element.style) return;
+
+    style.split(';').forEach(declaration => {
+      const separator = declaration.indexOf(':');
+      if (separator === -1) return;
+
+      const value = declaration.substring(separator + 1).trim();
+      const isImportant = /!important$/i.test(value);
+      element.style.setProperty(
+        declaration.substring(0, separator).trim(),
+        value.replace(/\s*!important$/i, ''),
+        isImportant ? 'important' : ''
+      );
     });
   }
 
+  getPageExceptionTypes(pageExceptions) {
+    const url = window.location.href;
+    const hostname = this.domain;
+    const onDomain = domain => hostname === domain || hostname.endsWith(`.${domain}`);
+    const types = new Set();
+
+    pageExceptions.forEach(exception => {
+      try {
+        if (exception.domains.length > 0 && !exception.domains.some(onDomain)) return;
+        if (exception.excludedDomains.some(onDomain)) return;
+        if (exception.urlPattern && !new RegExp(exception.urlPattern, 'i').test(url)) return;
+        exception.types.forEach(type => types.add(type));
+      } catch (error) {
+        console.warn('Invalid page exception:', exception, error);
+      }
+    });
+
+    return types;
+  }
+
   observeDOM() {
     if (this.domObserver) {
       this.domObserver.disconnect();
@@ -273,6 +842,8 @@ class CSSInjector {
   }
 
   processNewElement(element) {
+    if (['document', 'elemhide', 'generichide'].some(type => this.pageExceptionTypes.has(type))) return;
+
     if (this.processedElements.has(element)) return;
     this.processedElements.add(element);
 
@@ -433,27 +1004,27 @@ class CSSInjector {
 }
 
 
+// Runs at document_start: the style sheets go on documentElement before the
+// page's own content is parsed, so filtered elements never show.
 const cssInjector = new CSSInjector();
+const cssInjectorReady = cssInjector.init();
 
 
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    cssInjector.init().then(() => {
-      cssInjector.observeDOM();
-
-      document.querySelectorAll('*').forEach(element => {
-        cssInjector.processNewElement(element);
-      });
-    });
-  });
-} else {
-  cssInjector.init().then(() => {
+const processPage = () => {
+  cssInjectorReady.then(() => {
+    if (!cssInjector.heuristicFiltering) return;
     cssInjector.observeDOM();
 
     document.querySelectorAll('*').forEach(element => {
       cssInjector.processNewElement(element);
     });
   });
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', processPage);
+} else {
+  processPage();
 }
 
 
@@ -468,7 +1039,8 @@ new MutationObserver(() => {
 }).observe(document, { subtree: true, childList: true });
 
 
-(() => {
+cssInjectorReady.then(() => {
+  if (!cssInjector.heuristicFiltering) return;
 
   Object.defineProperty(window, 'zenblock', {
     value: undefined,
@@ -491,6 +1063,6 @@ new MutationObserver(() => {
   
 
   setTimeout(() => clearInterval(scriptDetector), 10000);
-})();
+});
 
 console.log('ZenBlock content script loaded');
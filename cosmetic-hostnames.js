@@ -0,0 +1,92 @@
+// ZenBlock cosmetic hostname keys
+// Shared by content.js (loaded before it in the manifest), the service worker
+// (via importScripts) and the tests (via require), so filters are filed and
+// looked up under exactly the same keys. cssRules is stored in
+// chrome.storage.local one entry per key (cosmetic:<key>), so a frame reads
+// only the entries its hostname can match rather than every list's filters.
+
+const COSMETIC_STORAGE_PREFIX = 'cosmetic:';
+const COSMETIC_GLOBAL_KEY = `${COSMETIC_STORAGE_PREFIX}global`;
+const COSMETIC_KEYED_FIELDS = ['domains', 'negated', 'exceptions', 'styles', 'styleNegated', 'styleExceptions'];
+
+
+// The keys a hostname's cosmetic filters are filed under: the hostname, each
+// parent domain, and their entity forms. There is no public suffix list here,
+// so an entity is the name minus a one- or two-label suffix: www.google.co.uk
+// matches google.co.uk, co.uk, uk, google.* and google.co.*.
+function getCosmeticHostnameKeys(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  const keys = [];
+
+  for (let i = 0; i < labels.length; i++) {
+    keys.push(labels.slice(i).join('.'));
+    for (let suffix = 1; suffix <= 2 && i + suffix < labels.length; suffix++) {
+      keys.push(`${labels.slice(i, labels.length - suffix).join('.')}.*`);
+    }
+  }
+
+  return keys;
+}
+
+
+function getCosmeticStorageKeys(hostname) {
+  return [COSMETIC_GLOBAL_KEY, ...getCosmeticHostnameKeys(hostname).map(key => `${COSMETIC_STORAGE_PREFIX}${key}`)];
+}
+
+
+// One storage entry per key holding that key's slice of each field.
+// cosmetic:global also carries the generic hides and the page exceptions.
+function splitCosmeticRules(cssRules) {
+  const entries = {
+    [COSMETIC_GLOBAL_KEY]: { generic: cssRules.global, pageExceptions: cssRules.pageExceptions }
+  };
+
+  for (const field of COSMETIC_KEYED_FIELDS) {
+    for (const [key, value] of Object.entries(cssRules[field] || {})) {
+      const storageKey = `${COSMETIC_STORAGE_PREFIX}${key}`;
+      if (!entries[storageKey]) {
+        entries[storageKey] = {};
+      }
+      entries[storageKey][field] = value;
+    }
+  }
+
+  return entries;
+}
+
+
+// Rebuilds a cssRules object from the entries a page read, holding only the
+// keys that were read.
+function joinCosmeticRules(entries) {
+  const cssRules = { global: [], pageExceptions: [] };
+  COSMETIC_KEYED_FIELDS.forEach(field => {
+    cssRules[field] = {};
+  });
+
+  for (const [storageKey, entry] of Object.entries(entries)) {
+    if (!storageKey.startsWith(COSMETIC_STORAGE_PREFIX)) continue;
+    const key = storageKey.substring(COSMETIC_STORAGE_PREFIX.length);
+    if (storageKey === COSMETIC_GLOBAL_KEY) {
+      cssRules.global = entry.generic || [];
+      cssRules.pageExceptions = entry.pageExceptions || [];
+    }
+    for (const field of COSMETIC_KEYED_FIELDS) {
+      if (entry[field]) {
+        cssRules[field][key] = entry[field];
+      }
+    }
+  }
+
+  return cssRules;
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COSMETIC_GLOBAL_KEY,
+    getCosmeticHostnameKeys,
+    getCosmeticStorageKeys,
+    splitCosmeticRules,
+    joinCosmeticRules
+  };
+}
@@ -0,0 +1,185 @@
+// ZenBlock filter list catalog
+// Known third-party lists users can subscribe to from the options page.
+// Catalog lists are downloaded and compiled like custom lists; the IDs are
+// stored in chrome.storage.sync under catalogFilterLists. Regional lists name
+// the primary language subtags (navigator.languages) they are meant for.
+
+
+const FILTER_LIST_CATEGORIES = {
+  regional: 'Regional',
+  annoyances: 'Annoyances',
+  cookies: 'Cookie notices',
+  social: 'Social widgets',
+  malware: 'Malware and phishing',
+  ublock: 'uBlock Origin filters'
+};
+
+
+const FILTER_LIST_CATALOG = {
+  easylistgermany: {
+    name: 'EasyList Germany',
+    category: 'regional',
+    languages: ['de'],
+    description: 'Ads on German-language websites',
+    url: 'https://easylist.to/easylistgermany/easylistgermany.txt',
+    homepage: 'https://easylist.to/'
+  },
+  easylistitaly: {
+    name: 'EasyList Italy',
+    category: 'regional',
+    languages: ['it'],
+    description: 'Ads on Italian-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/easylistitaly.txt',
+    homepage: 'https://easylist.to/'
+  },
+  easylistdutch: {
+    name: 'EasyList Dutch',
+    category: 'regional',
+    languages: ['nl'],
+    description: 'Ads on Dutch-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/easylistdutch.txt',
+    homepage: 'https://easylist.to/'
+  },
+  easylistspanish: {
+    name: 'EasyList Spanish',
+    category: 'regional',
+    languages: ['es'],
+    description: 'Ads on Spanish-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/easylistspanish.txt',
+    homepage: 'https://easylist.to/'
+  },
+  easylistportuguese: {
+    name: 'EasyList Portuguese',
+    category: 'regional',
+    languages: ['pt'],
+    description: 'Ads on Portuguese-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/easylistportuguese.txt',
+    homepage: 'https://easylist.to/'
+  },
+  easylistpolish: {
+    name: 'EasyList Polish',
+    category: 'regional',
+    languages: ['pl'],
+    description: 'Ads on Polish-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/easylistpolish.txt',
+    homepage: 'https://easylist.to/'
+  },
+  listefr: {
+    name: 'Liste FR',
+    category: 'regional',
+    languages: ['fr'],
+    description: 'Ads on French-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/liste_fr.txt',
+    homepage: 'https://forums.lanik.us/viewforum.php?f=91'
+  },
+  easylistchina: {
+    name: 'EasyList China',
+    category: 'regional',
+    languages: ['zh'],
+    description: 'Ads on Chinese-language websites',
+    url: 'https://easylist-downloads.adblockplus.org/easylistchina.txt',
+    homepage: 'https://github.com/easylist/easylistchina'
+  },
+  ruadlist: {
+    name: 'RU AdList',
+    category: 'regional',
+    languages: ['ru', 'uk', 'be'],
+    description: 'Ads on Russian and Ukrainian websites',
+    url: 'https://easylist-downloads.adblockplus.org/advblock.txt',
+    homepage: 'https://forums.lanik.us/viewforum.php?f=102'
+  },
+  adguardjapanese: {
+    name: 'AdGuard Japanese',
+    category: 'regional',
+    languages: ['ja'],
+    description: 'Ads on Japanese-language websites',
+    url: 'https://filters.adtidy.org/extension/ublock/filters/7.txt',
+    homepage: 'https://github.com/AdguardTeam/AdguardFilters'
+  },
+  fanboyannoyance: {
+    name: 'Fanboy\'s Annoyance List',
+    category: 'annoyances',
+    description: 'Pop-overs, newsletter prompts, chat boxes and other in-page clutter',
+    url: 'https://secure.fanboy.co.nz/fanboy-annoyance.txt',
+    homepage: 'https://easylist.to/'
+  },
+  adguardannoyances: {
+    name: 'AdGuard Annoyances',
+    category: 'annoyances',
+    description: 'Pop-ups, mobile app banners and other irritating page elements',
+    url: 'https://filters.adtidy.org/extension/ublock/filters/14.txt',
+    homepage: 'https://github.com/AdguardTeam/AdguardFilters'
+  },
+  easylistcookie: {
+    name: 'EasyList Cookie List',
+    category: 'cookies',
+    description: 'Cookie consent banners and GDPR overlays',
+    url: 'https://secure.fanboy.co.nz/fanboy-cookiemonster.txt',
+    homepage: 'https://easylist.to/'
+  },
+  fanboysocial: {
+    name: 'Fanboy\'s Social Blocking List',
+    category: 'social',
+    description: 'Like and share buttons, embedded social feeds and their trackers',
+    url: 'https://easylist.to/easylist/fanboy-social.txt',
+    homepage: 'https://easylist.to/'
+  },
+  urlhaus: {
+    name: 'Online Malicious URL Blocklist',
+    category: 'malware',
+    description: 'Sites currently distributing malware, from abuse.ch URLhaus',
+    url: 'https://malware-filter.gitlab.io/malware-filter/urlhaus-filter-online.txt',
+    homepage: 'https://gitlab.com/malware-filter/urlhaus-filter'
+  },
+  phishingfilter: {
+    name: 'Phishing URL Blocklist',
+    category: 'malware',
+    description: 'Known phishing sites',
+    url: 'https://malware-filter.gitlab.io/malware-filter/phishing-filter.txt',
+    homepage: 'https://gitlab.com/malware-filter/phishing-filter'
+  },
+  ubofilters: {
+    name: 'uBlock filters',
+    category: 'ublock',
+    description: 'Fixes and additions on top of EasyList maintained by uBlock Origin',
+    url: 'https://ublockorigin.github.io/uAssets/filters/filters.txt',
+    homepage: 'https://github.com/uBlockOrigin/uAssets'
+  },
+  uboprivacy: {
+    name: 'uBlock filters – Privacy',
+    category: 'ublock',
+    description: 'Trackers missed by EasyPrivacy',
+    url: 'https://ublockorigin.github.io/uAssets/filters/privacy.txt',
+    homepage: 'https://github.com/uBlockOrigin/uAssets'
+  },
+  ubobadware: {
+    name: 'uBlock filters – Badware risks',
+    category: 'ublock',
+    description: 'Sites known to push scams, fake downloads and unwanted software',
+    url: 'https://ublockorigin.github.io/uAssets/filters/badware.txt',
+    homepage: 'https://github.com/uBlockOrigin/uAssets'
+  },
+  ubounbreak: {
+    name: 'uBlock filters – Unbreak',
+    category: 'ublock',
+    description: 'Exceptions for sites broken by other lists',
+    url: 'https://ublockorigin.github.io/uAssets/filters/unbreak.txt',
+    homepage: 'https://github.com/uBlockOrigin/uAssets'
+  }
+};
+
+
+// Regional catalog lists matching a list of BCP 47 language tags, in
+// preference order.
+function getRegionalCatalogLists(languages) {
+  const suggested = [];
+  for (const language of languages || []) {
+    const subtag = language.split('-')[0].toLowerCase();
+    for (const [listId, entry] of Object.entries(FILTER_LIST_CATALOG)) {
+      if ((entry.languages || []).includes(subtag) && !suggested.includes(listId)) {
+        suggested.push(listId);
+      }
+    }
+  }
+  return suggested;
+}
@@ -0,0 +1,1986 @@
+// ZenBlock filter parser
+// Shared by the service worker (via importScripts) and tools/compile-filters.js
+// (via require). It must not touch chrome.* APIs; callers handle fetching,
+// storage and rule installation. Scriptlet names are resolved with
+// resolveScriptletName from scriptlets.js, which has to be loaded first.
+
+
+const DIAGNOSTIC_CATEGORIES = {
+  UNSUPPORTED_OPTION: 'unsupportedOption',
+  UNSUPPORTED_SYNTAX: 'unsupportedSyntax',
+  INVALID_DOMAIN: 'invalidDomain',
+  REGEX_REJECTED: 'regexRejected',
+  COSMETIC_SYNTAX: 'cosmeticSyntax',
+  OVER_BUDGET: 'overBudget',
+  PARSE_ERROR: 'parseError'
+};
+
+
+// declarativeNetRequest applies the highest-priority matching rule and, on a
+// tie, prefers allow > allowAllRequests > block > redirect > modifyHeaders
+// (modifyHeaders rules also apply alongside any rule they tie with or beat).
+// Every rule generator takes its priority from here, so that however user
+// rules, the whitelist, static rulesets and dynamic lists are mixed:
+//   user allow > $important exception > $important redirect > $important
+//   block > list exception > list redirect > list block > fallback block.
+// Redirects sit above blocks so a redirect= resource replaces the request
+// the matching block filter would otherwise cancel. removeparam and $csp
+// stay at the block tier: a blocked request needs neither.
+const RULE_PRIORITY = {
+  FALLBACK: 1,
+  BLOCK: 2,
+  REDIRECT: 3,
+  ALLOW: 4,
+  IMPORTANT: 5,
+  IMPORTANT_REDIRECT: 6,
+  IMPORTANT_ALLOW: 7,
+  USER_ALLOW: 100
+};
+
+
+// Each case names the filter that has to win for a request all of its filters
+// match. fallback and whitelist add the service worker's own rules for that
+// domain. checkRulePrecedence in background.js runs these against Chrome's
+// matcher; test/rule-priority.test.js runs them in Node.
+const PRECEDENCE_CHECKS = [
+  {
+    name: 'List exception beats list block',
+    request: { url: 'https://a.zenblock.test/ad.js', type: 'script' },
+    filters: ['||a.zenblock.test^', '@@||a.zenblock.test^'],
+    expected: '@@||a.zenblock.test^'
+  },
+  {
+    name: '$important block beats list exception',
+    request: { url: 'https://b.zenblock.test/ad.js', type: 'script' },
+    filters: ['@@||b.zenblock.test^', '||b.zenblock.test^$script,important'],
+    expected: '||b.zenblock.test^$script,important'
+  },
+  {
+    name: '$important exception beats $important block',
+    request: { url: 'https://c.zenblock.test/ad.js', type: 'script' },
+    filters: ['||c.zenblock.test^$script,important', '@@||c.zenblock.test^$script,important'],
+    expected: '@@||c.zenblock.test^$script,important'
+  },
+  {
+    name: 'Redirect beats list block',
+    request: { url: 'https://d.zenblock.test/ad.js', type: 'script' },
+    filters: ['||d.zenblock.test^', '||d.zenblock.test^$script,redirect=noopjs'],
+    expected: '||d.zenblock.test^$script,redirect=noopjs'
+  },
+  {
+    name: 'List exception beats redirect',
+    request: { url: 'https://e.zenblock.test/ad.js', type: 'script' },
+    filters: ['||e.zenblock.test^$script,redirect=noopjs', '@@||e.zenblock.test^'],
+    expected: '@@||e.zenblock.test^'
+  },
+  {
+    name: 'List block beats fallback block',
+    request: { url: 'https://f.zenblock.test/ad.js', type: 'script' },
+    filters: ['||f.zenblock.test^'],
+    fallback: 'f.zenblock.test',
+    expected: '||f.zenblock.test^'
+  },
+  {
+    name: 'Whitelist beats $important block',
+    request: { url: 'https://g.zenblock.test/', type: 'main_frame' },
+    filters: ['||g.zenblock.test^$document,important'],
+    whitelist: 'g.zenblock.test',
+    expected: 'whitelist'
+  }
+];
+
+
+// parseFilterList points this at the list being parsed so the rule parsers
+// can say why they dropped a line; outside of it drops are only logged.
+let diagnosticSink = null;
+
+
+function dropFilter(category, message, line) {
+  if (diagnosticSink) {
+    diagnosticSink(category, message);
+  } else {
+    console.warn(`${message}:`, line);
+  }
+  return null;
+}
+
+
+const FILTER_HEADER_FIELDS = {
+  'title': 'title',
+  'version': 'version',
+  'expires': 'expires',
+  'last modified': 'lastModified',
+  'last updated': 'lastModified',
+  'homepage': 'homepage',
+  'diff-path': 'diffPath',
+  'diff-expires': 'diffExpires'
+};
+
+
+const MIN_LIST_EXPIRY = 60 * 60 * 1000;
+const MAX_LIST_EXPIRY = 30 * 24 * 60 * 60 * 1000;
+
+
+function parseExpires(value) {
+  const match = value.match(/(\d+(?:\.\d+)?)\s*(h|hours?|d|days?)\b/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase().startsWith('h') ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  return Math.min(Math.max(amount * unit, MIN_LIST_EXPIRY), MAX_LIST_EXPIRY);
+}
+
+
+function parseFilterListHeader(filterList) {
+  const metadata = {};
+
+  for (const rawLine of filterList.split('\n', 100)) {
+    const line = rawLine.trim();
+    if (line === '' || /^\[.*\]$/.test(line)) continue;
+    if (!line.startsWith('!')) break;
+
+    const match = line.match(/^!\s*([A-Za-z][A-Za-z -]*?)\s*:\s*(.+)$/);
+    if (!match) continue;
+
+    const field = FILTER_HEADER_FIELDS[match[1].toLowerCase()];
+    if (!field || metadata[field] !== undefined) continue;
+
+    if (field === 'expires') {
+      metadata.expires = parseExpires(match[2]);
+      metadata.expiresText = match[2].trim();
+    } else if (field === 'diffExpires') {
+      metadata.diffExpires = parseExpires(match[2]);
+    } else if (field === 'homepage') {
+      metadata.homepage = /^https?:\/\//i.test(match[2].trim()) ? match[2].trim() : null;
+    } else {
+      metadata[field] = match[2].trim();
+    }
+  }
+
+  return metadata;
+}
+
+
+// Differential updates: a list's "! Diff-Path:" names a patch (relative to the
+// list URL, optionally "#name" inside a batch patch) holding RCS diffs, each
+// under a "diff name:<name> checksum:<sha1> lines:<count>" header. Patches are
+// applied to the exact text they were made from, so callers must compare the
+// checksum and fall back to a full download when it does not match.
+function parseDifferentialPatch(patchText, name = null) {
+  const lines = patchText.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  if (lines.length > 0 && !lines[0].startsWith('diff ')) {
+    return name ? null : { name: null, checksum: null, lines };
+  }
+
+  let index = 0;
+  while (index < lines.length) {
+    const header = lines[index].trim().match(/^diff\s+(.*)$/);
+    if (!header) throw new Error(`Malformed patch header: ${lines[index]}`);
+
+    const fields = {};
+    header[1].split(/\s+/).forEach(field => {
+      const separator = field.indexOf(':');
+      if (separator > 0) fields[field.substring(0, separator)] = field.substring(separator + 1);
+    });
+    const count = parseInt(fields.lines, 10);
+    if (!(count >= 0)) throw new Error(`Patch header without a line count: ${lines[index]}`);
+
+    if (!name || fields.name === name) {
+      return {
+        name: fields.name || null,
+        checksum: fields.checksum ? fields.checksum.toLowerCase() : null,
+        lines: lines.slice(index + 1, index + 1 + count)
+      };
+    }
+    index += 1 + count;
+  }
+
+  return null;
+}
+
+
+// Applies "aN M" (add M lines after source line N) and "dN M" (delete M lines
+// from source line N) commands; line numbers refer to the unpatched text.
+function applyRcsDiff(text, diffLines) {
+  const endsWithNewline = text.endsWith('\n');
+  const source = (endsWithNewline ? text.substring(0, text.length - 1) : text).split('\n');
+  const result = [];
+  let copied = 0;
+
+  for (let i = 0; i < diffLines.length; i++) {
+    const command = diffLines[i].trim().match(/^([ad])(\d+) (\d+)$/);
+    if (!command) throw new Error(`Malformed diff command: ${diffLines[i]}`);
+
+    const line = parseInt(command[2], 10);
+    const count = parseInt(command[3], 10);
+
+    if (command[1] === 'd') {
+      if (line < 1 || line - 1 < copied || line - 1 + count > source.length) {
+        throw new Error(`Diff deletes lines outside the list: ${diffLines[i]}`);
+      }
+      result.push(...source.slice(copied, line - 1));
+      copied = line - 1 + count;
+    } else {
+      const added = diffLines.slice(i + 1, i + 1 + count);
+      if (line < copied || line > source.length || added.length !== count) {
+        throw new Error(`Diff adds lines outside the list: ${diffLines[i]}`);
+      }
+      result.push(...source.slice(copied, line), ...added);
+      copied = line;
+      i += count;
+    }
+  }
+
+  result.push(...source.slice(copied));
+  return result.join('\n') + (endsWithNewline ? '\n' : '');
+}
+
+
+const PREPROCESSOR_TOKENS = {
+  env_chromium: true,
+  env_mv3: true,
+  env_edge: typeof navigator !== 'undefined' && /\bEdg\//.test(navigator.userAgent || ''),
+  env_firefox: false,
+  env_safari: false,
+  env_mobile: false,
+  env_legacy: false,
+  ext_zenblock: true,
+  cap_user_stylesheet: true,
+  cap_html_filtering: false,
+  false: false
+};
+
+
+const MAX_INCLUDE_DEPTH = 3;
+
+
+function evaluatePreprocessorCondition(expression) {
+  const tokens = expression.match(/\(|\)|!|&&|\|\||[A-Za-z0-9_]+/g) || [];
+  let position = 0;
+
+  const parseOr = () => {
+    let value = parseAnd();
+    while (tokens[position] === '||') {
+      position++;
+      const right = parseAnd();
+      value = value || right;
+    }
+    return value;
+  };
+
+  const parseAnd = () => {
+    let value = parseUnary();
+    while (tokens[position] === '&&') {
+      position++;
+      const right = parseUnary();
+      value = value && right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (token === '!') return !parseUnary();
+    if (token === '(') {
+      const value = parseOr();
+      if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses');
+      return value;
+    }
+    if (!token || !/^[A-Za-z0-9_]+$/.test(token)) throw new Error(`Unexpected token: ${token}`);
+    return PREPROCESSOR_TOKENS[token] === true;
+  };
+
+  try {
+    const value = parseOr();
+    if (position !== tokens.length) throw new Error('Trailing tokens');
+    return value;
+  } catch (error) {
+    console.warn(`Invalid !#if expression "${expression}":`, error.message);
+    return false;
+  }
+}
+
+
+// Resolves !#if/!#else/!#endif blocks for this environment and inlines
+// !#include sub-lists from the parent list's origin. loadInclude(url) returns
+// the text of an included list.
+async function preprocessFilterList(filterList, baseUrl, loadInclude, depth = 0) {
+  const output = [];
+  const conditions = [];
+  const isActive = () => conditions.every(condition => condition.active);
+
+  for (const rawLine of filterList.split('\n')) {
+    const line = rawLine.trim();
+
+    if (!line.startsWith('!#')) {
+      if (isActive()) output.push(rawLine);
+      continue;
+    }
+
+    if (line.startsWith('!#if ')) {
+      conditions.push({ active: evaluatePreprocessorCondition(line.substring(5)) });
+    } else if (line === '!#else') {
+      if (conditions.length > 0) {
+        const current = conditions[conditions.length - 1];
+        current.active = !current.active;
+      }
+    } else if (line === '!#endif') {
+      conditions.pop();
+    } else if (line.startsWith('!#include ') && isActive()) {
+      const includePath = line.substring(10).trim();
+
+      if (!baseUrl || !loadInclude || depth >= MAX_INCLUDE_DEPTH) {
+        console.warn(`Skipping !#include ${includePath}: no base URL or nesting too deep`);
+        continue;
+      }
+
+      try {
+        const includeUrl = new URL(includePath, baseUrl);
+        if (includeUrl.origin !== new URL(baseUrl).origin) {
+          console.warn(`Skipping cross-origin !#include ${includeUrl.href}`);
+          continue;
+        }
+
+        const included = await loadInclude(includeUrl.href);
+        output.push(await preprocessFilterList(included, includeUrl.href, loadInclude, depth + 1));
+      } catch (error) {
+        console.warn(`Failed to include ${includePath}:`, error);
+      }
+    }
+  }
+
+  return output.join('\n');
+}
+
+
+const FILTER_LIST_FORMATS = ['auto', 'adblock', 'hosts', 'dnsmasq', 'domains'];
+
+const HOSTS_LINE = /^(?:0\.0\.0\.0|127\.0\.0\.1|::1?|0:0:0:0:0:0:0:[01])\s+\S/;
+const DNSMASQ_LINE = /^(?:address|server|local)=\/[^/]+\//;
+const PLAIN_DOMAIN_LINE = /^(?:\*\.)?[a-z0-9_-]+(?:\.[a-z0-9_-]+)+\.?$/i;
+
+// Names hosts files map to loopback for the machine itself, not for blocking.
+const HOSTS_RESERVED_NAMES = new Set([
+  'localhost', 'localhost.localdomain', 'local', 'broadcasthost', '0.0.0.0',
+  'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+  'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts'
+]);
+
+const FORMAT_SNIFF_LINES = 200;
+
+
+function detectFilterListFormat(filterList) {
+  const counts = { adblock: 0, hosts: 0, dnsmasq: 0, domains: 0 };
+  let sampled = 0;
+
+  for (const rawLine of filterList.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!') || line.startsWith('[')) continue;
+    if (line.startsWith('#') && !/^#[@?$%]?#/.test(line)) continue;
+
+    if (HOSTS_LINE.test(line)) {
+      counts.hosts++;
+    } else if (DNSMASQ_LINE.test(line)) {
+      counts.dnsmasq++;
+    } else if (PLAIN_DOMAIN_LINE.test(line)) {
+      counts.domains++;
+    } else {
+      counts.adblock++;
+    }
+
+    if (++sampled >= FORMAT_SNIFF_LINES) break;
+  }
+
+  // Plain domains are valid Adblock filters too, so they only win when
+  // nothing in the sample needs Adblock syntax.
+  if (counts.hosts > sampled / 2) return 'hosts';
+  if (counts.dnsmasq > sampled / 2) return 'dnsmasq';
+  if (counts.domains > 0 && counts.adblock === 0) return 'domains';
+  return 'adblock';
+}
+
+
+function extractListedDomains(line, format) {
+  if (format === 'hosts') {
+    if (!HOSTS_LINE.test(line)) return [];
+    return line.split(/\s+/).slice(1);
+  }
+  if (format === 'dnsmasq') {
+    const match = line.match(DNSMASQ_LINE);
+    return match ? [line.substring(line.indexOf('/') + 1, match[0].length - 1)] : [];
+  }
+  return [line.replace(/^\*\./, '')];
+}
+
+
+// Rewrites hosts, dnsmasq and plain domain lists as ||domain^ filters. Lines
+// that do not fit the format are passed through for parseFilterList to
+// report, and "# Title:" style headers become "! Title:" so
+// parseFilterListHeader sees them.
+function convertDomainList(filterList, format) {
+  const seen = new Set();
+
+  return filterList.split('\n').flatMap(rawLine => {
+    const commentIndex = rawLine.indexOf('#');
+    const line = (commentIndex === -1 ? rawLine : rawLine.substring(0, commentIndex)).trim();
+
+    if (!line) {
+      return commentIndex === -1 ? [] : [`!${rawLine.substring(commentIndex + 1)}`];
+    }
+
+    const domains = extractListedDomains(line, format);
+    if (domains.length === 0) return [line];
+
+    return domains
+      .map(domain => domain.toLowerCase().replace(/\.$/, ''))
+      .filter(domain => !HOSTS_RESERVED_NAMES.has(domain) && !seen.has(domain))
+      .map(domain => {
+        seen.add(domain);
+        return `||${domain}^`;
+      });
+  }).join('\n');
+}
+
+
+// Filters are identified by their pattern plus their sorted options, so
+// "||ads.example^$script,third-party" and its $badfilter twin share a signature
+// regardless of option order.
+function getFilterSignature(line) {
+  const isException = line.startsWith('@@');
+  const body = isException ? line.substring(2) : line;
+  const regexParts = splitRegexFilter(body);
+  let pattern;
+  let optionText;
+
+  if (regexParts) {
+    pattern = `/${regexParts.source}/`;
+    optionText = regexParts.optionText;
+  } else {
+    const separatorIndex = body.lastIndexOf('$');
+    pattern = separatorIndex === -1 ? body : body.substring(0, separatorIndex);
+    optionText = separatorIndex === -1 ? '' : body.substring(separatorIndex + 1);
+  }
+
+  const options = optionText.split(',').map(option => option.trim()).filter(Boolean);
+  const isBadfilter = options.some(option => option.toLowerCase() === 'badfilter');
+  const otherOptions = options.filter(option => option.toLowerCase() !== 'badfilter').sort();
+
+  return {
+    key: `${isException ? '@@' : ''}${pattern}$${otherOptions.join(',')}`,
+    isBadfilter
+  };
+}
+
+
+function isCosmeticFilter(line) {
+  return /#@?\??#/.test(line) || line.includes('#+js(') || line.includes('%#//scriptlet(');
+}
+
+
+function collectBadfilters(filterList, listName, badfilters) {
+  for (const rawLine of filterList.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!') || !line.includes('badfilter') || isCosmeticFilter(line)) continue;
+
+    const signature = getFilterSignature(line);
+    if (signature.isBadfilter && !badfilters.has(signature.key)) {
+      badfilters.set(signature.key, listName);
+    }
+  }
+  return badfilters;
+}
+
+
+function parseExceptionRule(line, id) {
+  try {
+    const cleanLine = line.substring(2);
+
+    if (splitRegexFilter(cleanLine) || cleanLine.includes('$')) {
+      const rule = splitRegexFilter(cleanLine)
+        ? parseRegexRule(cleanLine, id)
+        : parseResourceTypeRule(cleanLine, id, true);
+      if (!rule) return null;
+      const exceptionPriority = rule.priority >= RULE_PRIORITY.IMPORTANT
+        ? RULE_PRIORITY.IMPORTANT_ALLOW
+        : RULE_PRIORITY.ALLOW;
+
+      // An allow rule would lift every block on the document, not just the
+      // header; parseHeaderException handles the forms that can be honoured.
+      if (rule.action.type === 'modifyHeaders') {
+        return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, 'Header exceptions can only name whole domains', line);
+      }
+
+      if (rule.action.type !== 'block') {
+        return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, `Exceptions cannot apply to ${rule.action.type} filters`, line);
+      }
+
+      rule.priority = exceptionPriority;
+      if (rule.condition.resourceTypes && rule.condition.resourceTypes.includes('main_frame')) {
+        rule.action = { type: 'allowAllRequests' };
+        rule.condition.resourceTypes = ['main_frame', 'sub_frame'];
+      } else {
+        rule.action = { type: 'allow' };
+      }
+      return rule;
+    }
+    
+    if (cleanLine.startsWith('||') && cleanLine.endsWith('^')) {
+      const domain = cleanLine.substring(2, cleanLine.length - 1);
+      if (isValidFilterDomain(domain)) {
+        return {
+          id: id,
+          priority: RULE_PRIORITY.ALLOW,
+          action: { type: 'allow' },
+          condition: {
+            urlFilter: `||${domain}^`,
+            resourceTypes: [
+              'script', 'image', 'stylesheet', 'object', 'xmlhttprequest',
+              'sub_frame', 'ping', 'csp_report', 'media', 'font', 'websocket', 'other'
+            ]
+          }
+        };
+      }
+      return dropFilter(DIAGNOSTIC_CATEGORIES.INVALID_DOMAIN, `Invalid domain "${domain}"`, line);
+    }
+  } catch (error) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.PARSE_ERROR, `Failed to parse exception rule: ${error.message}`, line);
+  }
+  return null;
+}
+
+
+function filterPatternToRegExpSource(pattern) {
+  if (!pattern || pattern === '*') return null;
+
+  let source = '';
+  let rest = pattern;
+
+  if (rest.startsWith('||')) {
+    source = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]+\\.)?';
+    rest = rest.substring(2);
+  } else if (rest.startsWith('|')) {
+    source = '^';
+    rest = rest.substring(1);
+  }
+
+  const anchoredEnd = rest.endsWith('|');
+  if (anchoredEnd) {
+    rest = rest.substring(0, rest.length - 1);
+  }
+
+  for (const char of rest) {
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '^') {
+      source += '(?:[^\\w.%-]|$)';
+    } else {
+      source += escapeRegexForRE2(char);
+    }
+  }
+
+  return anchoredEnd ? `${source}$` : source;
+}
+
+
+// $csp / $permissions exceptions cancel injected headers rather than allow
+// requests. They come back as { header, value, domains } for
+// applyHeaderExceptions; an empty value matches every policy for that header
+// and empty domains match every document.
+function parseHeaderException(line) {
+  if (!line.startsWith('@@')) return null;
+
+  const cleanLine = line.substring(2);
+  const separatorIndex = cleanLine.lastIndexOf('$');
+  if (separatorIndex === -1) return null;
+
+  const options = parseFilterOptions(cleanLine.substring(separatorIndex + 1));
+  if (!options.responseHeader || options.unsupported.length > 0) return null;
+
+  const pattern = cleanLine.substring(0, separatorIndex);
+  const hostMatch = pattern.match(/^\|\|([a-z0-9.-]+)\^?\|?$/i);
+  const { resourceTypes, initiatorDomains, ...otherConditions } = options.condition;
+  if (splitRegexFilter(cleanLine) ||
+      Object.keys(otherConditions).length > 0 ||
+      (pattern && pattern !== '*' && !hostMatch) ||
+      (hostMatch && initiatorDomains)) {
+    return { error: 'Header exceptions can only name whole domains' };
+  }
+
+  return {
+    header: options.responseHeader.header,
+    value: options.responseHeader.value,
+    domains: hostMatch ? [hostMatch[1].toLowerCase()] : (initiatorDomains || [])
+  };
+}
+
+
+// Call before mergeModifyHeadersRules, while each rule still carries a single
+// header.
+function applyHeaderExceptions(rules, headerExceptions) {
+  if (headerExceptions.length === 0) return rules;
+
+  return rules.flatMap(rule => {
+    if (rule.action.type !== 'modifyHeaders') return [rule];
+
+    const { header, value } = rule.action.responseHeaders[0];
+    const matching = headerExceptions.filter(exception =>
+      exception.header === header && (!exception.value || exception.value === value)
+    );
+    if (matching.length === 0) return [rule];
+    if (matching.some(exception => exception.domains.length === 0)) return [];
+
+    return [{
+      ...rule,
+      condition: {
+        ...rule.condition,
+        excludedRequestDomains: [...new Set([
+          ...(rule.condition.excludedRequestDomains || []),
+          ...matching.flatMap(exception => exception.domains)
+        ])]
+      }
+    }];
+  });
+}
+
+
+// Page-level exceptions ($document, $elemhide, $generichide, $specifichide)
+// switch off cosmetic filtering for matching pages; content.js matches them
+// against the page URL.
+function parsePageException(line) {
+  try {
+    const cleanLine = line.substring(2);
+    const regexParts = splitRegexFilter(cleanLine);
+    let pattern;
+    let optionText;
+
+    if (regexParts) {
+      pattern = null;
+      optionText = regexParts.optionText;
+    } else {
+      const separatorIndex = cleanLine.lastIndexOf('$');
+      if (separatorIndex === -1) return null;
+      pattern = cleanLine.substring(0, separatorIndex);
+      optionText = cleanLine.substring(separatorIndex + 1);
+    }
+
+    const options = parseFilterOptions(optionText);
+    if (options.pageExceptions.length === 0 || options.unsupported.length > 0) return null;
+
+    const hostMatch = pattern && pattern.match(/^\|\|([a-z0-9.-]+)(?=[\^/:]|$)/i);
+    return {
+      types: [...new Set(options.pageExceptions)],
+      hostname: hostMatch ? hostMatch[1].toLowerCase() : null,
+      urlPattern: regexParts ? regexParts.source : filterPatternToRegExpSource(pattern),
+      domains: options.condition.initiatorDomains || [],
+      excludedDomains: options.condition.excludedInitiatorDomains || []
+    };
+  } catch (error) {
+    console.warn('Failed to parse page exception:', line, error);
+    return null;
+  }
+}
+
+
+// DNR cannot tell a popup from any other top-level navigation, so $popup
+// filters are matched by the background worker when a page opens a new tab:
+// the pattern against the new tab's URL, $domain against the opener.
+function parsePopupFilter(line) {
+  try {
+    const isException = line.startsWith('@@');
+    const cleanLine = isException ? line.substring(2) : line;
+    const regexParts = splitRegexFilter(cleanLine);
+    let pattern = null;
+    let optionText;
+
+    if (regexParts) {
+      optionText = regexParts.optionText;
+    } else {
+      const separatorIndex = cleanLine.lastIndexOf('$');
+      if (separatorIndex === -1) return null;
+      pattern = cleanLine.substring(0, separatorIndex);
+      optionText = cleanLine.substring(separatorIndex + 1);
+    }
+
+    const options = parseFilterOptions(optionText);
+    if (!options.popup || options.unsupported.length > 0) return null;
+
+    return {
+      isException,
+      urlPattern: regexParts ? regexParts.source : filterPatternToRegExpSource(pattern),
+      domains: options.condition.initiatorDomains || [],
+      excludedDomains: options.condition.excludedInitiatorDomains || [],
+      domainType: options.condition.domainType || null
+    };
+  } catch (error) {
+    console.warn('Failed to parse popup filter:', line, error);
+    return null;
+  }
+}
+
+
+function parseURLPatternRule(line, id) {
+  try {
+
+    let urlFilter = line;
+    
+
+    if (urlFilter.includes('*')) {
+
+      urlFilter = urlFilter.replace(/\*/g, '*');
+    }
+    
+
+    if (!urlFilter.startsWith('||') && !urlFilter.startsWith('|')) {
+      urlFilter = `*${urlFilter}*`;
+    }
+    
+    return {
+      id: id,
+      priority: RULE_PRIORITY.BLOCK,
+      action: { type: 'block' },
+      condition: {
+        urlFilter: urlFilter,
+        resourceTypes: ['script', 'image', 'stylesheet', 'object', 'xmlhttprequest']
+      }
+    };
+  } catch (error) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.PARSE_ERROR, `Failed to parse URL pattern rule: ${error.message}`, line);
+  }
+}
+
+
+const RESOURCE_TYPE_OPTIONS = {
+  'script': ['script'],
+  'image': ['image'],
+  'stylesheet': ['stylesheet'],
+  'css': ['stylesheet'],
+  'object': ['object'],
+  'object-subrequest': ['object'],
+  'xmlhttprequest': ['xmlhttprequest'],
+  'xhr': ['xmlhttprequest'],
+  'subdocument': ['sub_frame'],
+  'sub_frame': ['sub_frame'],
+  'frame': ['sub_frame'],
+  'document': ['main_frame'],
+  'doc': ['main_frame'],
+  'main_frame': ['main_frame'],
+  'ping': ['ping'],
+  'beacon': ['ping'],
+  'csp_report': ['csp_report'],
+  'media': ['media'],
+  'font': ['font'],
+  'websocket': ['websocket'],
+  'webtransport': ['webtransport'],
+  'webbundle': ['webbundle'],
+  'other': ['other'],
+  'all': [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+    'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport',
+    'webbundle', 'other'
+  ]
+};
+
+
+const REDIRECT_RESOURCES = {
+  'noopjs': 'redirects/noop.js',
+  'noop.js': 'redirects/noop.js',
+  'noopcss': 'redirects/noop.css',
+  'noop.css': 'redirects/noop.css',
+  'nooptext': 'redirects/noop.txt',
+  'noop.txt': 'redirects/noop.txt',
+  'noopframe': 'redirects/noop.html',
+  'noop.html': 'redirects/noop.html',
+  'noopjson': 'redirects/noop.json',
+  'noop.json': 'redirects/noop.json',
+  '1x1.gif': 'redirects/1x1.gif',
+  '1x1-transparent.gif': 'redirects/1x1.gif',
+  '2x2.png': 'redirects/2x2.png',
+  '2x2-transparent.png': 'redirects/2x2.png',
+  '3x2.png': 'redirects/3x2.png',
+  '3x2-transparent.png': 'redirects/3x2.png',
+  '32x32.png': 'redirects/32x32.png',
+  '32x32-transparent.png': 'redirects/32x32.png',
+  'google-analytics_analytics.js': 'redirects/google-analytics_analytics.js',
+  'google-analytics.com/analytics.js': 'redirects/google-analytics_analytics.js',
+  'google-analytics_ga.js': 'redirects/google-analytics_ga.js',
+  'google-analytics.com/ga.js': 'redirects/google-analytics_ga.js',
+  'googletagmanager_gtm.js': 'redirects/googletagmanager_gtm.js',
+  'googletagmanager.com/gtm.js': 'redirects/googletagmanager_gtm.js',
+  'googletagservices_gpt.js': 'redirects/googletagservices_gpt.js',
+  'googletagservices.com/gpt.js': 'redirects/googletagservices_gpt.js',
+  'googlesyndication_adsbygoogle.js': 'redirects/googlesyndication_adsbygoogle.js',
+  'googlesyndication.com/adsbygoogle.js': 'redirects/googlesyndication_adsbygoogle.js',
+  'google-ima.js': 'redirects/google-ima.js',
+  'google-ima3': 'redirects/google-ima.js',
+  'amazon_apstag.js': 'redirects/amazon_apstag.js',
+  'amazon-adsystem.com/aax2/amzn_ads.js': 'redirects/amazon_apstag.js',
+  'scorecardresearch_beacon.js': 'redirects/scorecardresearch_beacon.js',
+  'scorecardresearch.com/beacon.js': 'redirects/scorecardresearch_beacon.js'
+};
+
+
+const REQUEST_METHODS = ['connect', 'delete', 'get', 'head', 'options', 'patch', 'post', 'put', 'other'];
+
+
+function escapeRegexForRE2(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+
+function toQueryParamRegex(source) {
+  let result = '';
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      result += source.substring(i, i + 2);
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+      result += char;
+    } else if (char === '[') {
+      inClass = true;
+      if (source[i + 1] === '^') {
+        result += '[^&#';
+        i++;
+      } else {
+        result += char;
+      }
+    } else if (char === '.') {
+      result += '[^&#]';
+    } else if (char === '$' || (char === '(' && source[i + 1] === '?' && source[i + 2] !== ':')) {
+      return null;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+
+function buildNotEqualPattern(name) {
+  const chars = Array.from(name).map(escapeRegexForRE2);
+  const alternatives = [];
+
+  for (let i = 1; i < chars.length; i++) {
+    alternatives.push(chars.slice(0, i).join(''));
+  }
+  for (let i = 0; i < chars.length; i++) {
+    alternatives.push(`${chars.slice(0, i).join('')}[^${chars[i]}=&#][^=&#]*`);
+  }
+  alternatives.push(`${chars.join('')}[^=&#]+`);
+
+  return `(?:${alternatives.join('|')})(?:=[^&#]*)?`;
+}
+
+
+// Regex and negated removeparam= values have no queryTransform equivalent, so
+// they compile to a regexSubstitution (see REMOVE_PARAM_SUBSTITUTION) that
+// strips the first matching parameter together with its separator. A
+// substitution cannot repeat, so each redirect removes one parameter: the
+// redirected request is matched again, and a URL carrying more matching
+// parameters than Chrome's redirect limit keeps the rest.
+function compileRemoveParam(value) {
+  if (!value) {
+    return { transform: { query: '' } };
+  }
+
+  if (value.startsWith('~')) {
+    const keptParam = value.substring(1);
+    if (!/^[^=&#/]+$/.test(keptParam)) return null;
+
+    return {
+      paramPattern: buildNotEqualPattern(keptParam),
+      isCaseSensitive: true
+    };
+  }
+
+  const regexMatch = value.match(/^\/(.+)\/(i?)$/);
+  if (regexMatch) {
+    const anchored = regexMatch[1].startsWith('^');
+    const paramRegex = toQueryParamRegex(anchored ? regexMatch[1].substring(1) : regexMatch[1]);
+    if (!paramRegex) return null;
+
+    try {
+      if (new RegExp(paramRegex).test('')) return null;
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      paramPattern: anchored ? `(?:${paramRegex})[^&#]*` : `[^&#]*(?:${paramRegex})[^&#]*`,
+      isCaseSensitive: regexMatch[2] !== 'i'
+    };
+  }
+
+  if (/[=&#]/.test(value)) return null;
+
+  return { transform: { queryTransform: { removeParams: [value] } } };
+}
+
+
+const REMOVE_PARAM_SUBSTITUTION = '\\1\\2\\3\\4';
+
+
+// RE2 has no lookahead, so the two places a parameter can sit get their own
+// branch: followed by another parameter, the & after it goes (groups 1 and 2);
+// last in the query, the ? or & before it goes (group 3). Group 4 is the hash.
+function buildRemoveParamRegex(paramPattern) {
+  return `^(?:([^?#]*\\?(?:[^&#]*&)*?)${paramPattern}&([^#]*)|([^?#]*(?:\\?[^#]*?)?)[?&]${paramPattern})(#.*)?$`;
+}
+
+
+function parseOptionDomains(value, option, unsupported, invalidDomains) {
+  const included = [];
+  const excluded = [];
+
+  for (const entry of value.split('|')) {
+    const negated = entry.startsWith('~');
+    const domain = (negated ? entry.substring(1) : entry).trim().toLowerCase();
+
+    if (domain.endsWith('.*') || domain.startsWith('/')) {
+      unsupported.push(`${option}=${entry}`);
+      continue;
+    }
+
+    if (!isValidFilterDomain(domain)) {
+      unsupported.push(`${option}=${entry}`);
+      invalidDomains.push(domain);
+      continue;
+    }
+
+    (negated ? excluded : included).push(domain);
+  }
+
+  return { included, excluded };
+}
+
+
+// AdGuard-only modifiers. Aliases are rewritten to the option they stand for;
+// the rest have no declarativeNetRequest equivalent and drop the filter.
+const ADGUARD_OPTION_ALIASES = {
+  'empty': 'redirect=nooptext'
+};
+
+const ADGUARD_UNSUPPORTED_OPTIONS = {
+  'app': 'AdGuard: only applies to desktop apps',
+  'network': 'AdGuard: needs IP-level filtering',
+  'stealth': 'AdGuard: there is no Stealth Mode to turn off',
+  'cookie': 'AdGuard: cookies cannot be filtered',
+  'replace': 'AdGuard: needs access to the response body',
+  'content': 'AdGuard: needs access to the response body',
+  'hls': 'AdGuard: needs access to the response body',
+  'jsonprune': 'AdGuard: needs access to the response body',
+  'xmlprune': 'AdGuard: needs access to the response body',
+  'mp4': 'AdGuard: no mp4 redirect resource',
+  'extension': 'AdGuard: userscripts are not supported',
+  'jsinject': 'AdGuard: JavaScript rules are not supported',
+  'urlblock': 'AdGuard: only $document exceptions lift URL blocking',
+  'genericblock': 'AdGuard: only $document exceptions lift URL blocking',
+  'referrerpolicy': 'AdGuard: response headers cannot be rewritten per request'
+};
+
+
+function parseFilterOptions(optionText) {
+  const condition = {};
+  const resourceTypes = new Set();
+  const excludedResourceTypes = new Set();
+  const unsupported = [];
+  const invalidDomains = [];
+  let isImportant = false;
+  let redirect = null;
+  let removeParam = null;
+  let responseHeader = null;
+  let popup = false;
+  const pageExceptions = [];
+
+  for (const rawOption of optionText.split(',')) {
+    const option = ADGUARD_OPTION_ALIASES[rawOption.trim().toLowerCase()] || rawOption.trim();
+    if (!option) continue;
+
+    const equalsIndex = option.indexOf('=');
+    const name = (equalsIndex === -1 ? option : option.substring(0, equalsIndex)).toLowerCase();
+    const value = equalsIndex === -1 ? '' : option.substring(equalsIndex + 1);
+    const negated = name.startsWith('~');
+    const baseName = negated ? name.substring(1) : name;
+
+    if (RESOURCE_TYPE_OPTIONS[baseName] && equalsIndex === -1) {
+      if (name === 'document' || name === 'doc') {
+        pageExceptions.push('document');
+      }
+      const target = negated ? excludedResourceTypes : resourceTypes;
+      RESOURCE_TYPE_OPTIONS[baseName].forEach(type => target.add(type));
+      continue;
+    }
+
+    switch (name) {
+      case 'important':
+        isImportant = true;
+        break;
+
+      case 'third-party':
+      case '3p':
+      case '~first-party':
+      case '~1p':
+        condition.domainType = 'thirdParty';
+        break;
+
+      case '~third-party':
+      case '~3p':
+      case 'first-party':
+      case '1p':
+        condition.domainType = 'firstParty';
+        break;
+
+      case 'match-case':
+        condition.isUrlFilterCaseSensitive = true;
+        break;
+
+      case 'popup':
+        popup = true;
+        break;
+
+      case 'elemhide':
+      case 'ehide':
+        pageExceptions.push('elemhide');
+        break;
+
+      case 'generichide':
+      case 'ghide':
+        pageExceptions.push('generichide');
+        break;
+
+      case 'specifichide':
+      case 'shide':
+        pageExceptions.push('specifichide');
+        break;
+
+      case 'csp':
+        responseHeader = { header: 'content-security-policy', value: value.trim() };
+        break;
+
+      case 'permissions':
+        if (value) {
+          responseHeader = {
+            header: 'permissions-policy',
+            value: value.split('|').map(policy => policy.trim()).filter(Boolean).join(', ')
+          };
+        } else {
+          unsupported.push(option);
+        }
+        break;
+
+      case 'removeparam':
+      case 'queryprune':
+        removeParam = compileRemoveParam(value);
+        if (!removeParam) {
+          unsupported.push(option);
+        }
+        break;
+
+      // DNR has no "redirect only if something else blocked it" condition; as
+      // a plain redirect this would neuter every matching request.
+      case 'redirect-rule':
+        unsupported.push(`${option} (redirects only blocked requests)`);
+        break;
+
+      case 'redirect': {
+        const resourceName = value.replace(/:\d+$/, '');
+        if (REDIRECT_RESOURCES[resourceName]) {
+          redirect = REDIRECT_RESOURCES[resourceName];
+        } else {
+          unsupported.push(option);
+        }
+        break;
+      }
+
+      case 'domain':
+      case 'from': {
+        const domains = parseOptionDomains(value, name, unsupported, invalidDomains);
+        if (domains.included.length > 0) condition.initiatorDomains = domains.included;
+        if (domains.excluded.length > 0) condition.excludedInitiatorDomains = domains.excluded;
+        break;
+      }
+
+      case 'to': {
+        const domains = parseOptionDomains(value, name, unsupported, invalidDomains);
+        if (domains.included.length > 0) condition.requestDomains = domains.included;
+        if (domains.excluded.length > 0) condition.excludedRequestDomains = domains.excluded;
+        break;
+      }
+
+      case 'denyallow': {
+        const domains = parseOptionDomains(value, name, unsupported, invalidDomains);
+        if (domains.excluded.length > 0) {
+          unsupported.push(option);
+        } else if (domains.included.length > 0) {
+          condition.excludedRequestDomains = domains.included;
+        }
+        break;
+      }
+
+      case 'method': {
+        const included = [];
+        const excluded = [];
+        for (const entry of value.toLowerCase().split('|')) {
+          const isNegated = entry.startsWith('~');
+          const method = isNegated ? entry.substring(1) : entry;
+          if (!REQUEST_METHODS.includes(method)) {
+            unsupported.push(`method=${entry}`);
+            continue;
+          }
+          (isNegated ? excluded : included).push(method);
+        }
+        if (included.length > 0) {
+          condition.requestMethods = included;
+        } else if (excluded.length > 0) {
+          condition.excludedRequestMethods = excluded;
+        }
+        break;
+      }
+
+      default:
+        unsupported.push(ADGUARD_UNSUPPORTED_OPTIONS[baseName]
+          ? `${option} (${ADGUARD_UNSUPPORTED_OPTIONS[baseName]})`
+          : option);
+    }
+  }
+
+  if (resourceTypes.size > 0) {
+    condition.resourceTypes = Array.from(resourceTypes);
+  } else if (excludedResourceTypes.size > 0) {
+    condition.excludedResourceTypes = Array.from(excludedResourceTypes);
+  }
+
+  if ([redirect, removeParam, responseHeader].filter(Boolean).length > 1) {
+    unsupported.push('conflicting actions');
+  }
+
+  if (responseHeader) {
+    const documentTypes = ['main_frame', 'sub_frame'];
+    if (condition.resourceTypes) {
+      condition.resourceTypes = condition.resourceTypes.filter(type => documentTypes.includes(type));
+      if (condition.resourceTypes.length === 0) {
+        unsupported.push(`${responseHeader.header} on non-document requests`);
+      }
+    } else {
+      condition.resourceTypes = documentTypes.filter(type => !(condition.excludedResourceTypes || []).includes(type));
+      delete condition.excludedResourceTypes;
+    }
+  }
+
+  if (removeParam && !condition.resourceTypes && !condition.excludedResourceTypes) {
+    condition.resourceTypes = ['main_frame', 'sub_frame', 'xmlhttprequest'];
+  }
+
+  return { condition, isImportant, redirect, removeParam, responseHeader, popup, pageExceptions, unsupported, invalidDomains };
+}
+
+
+function createNetworkRule(id, options, condition) {
+  if (options.responseHeader) {
+    return {
+      id: id,
+      priority: options.isImportant ? RULE_PRIORITY.IMPORTANT : RULE_PRIORITY.BLOCK,
+      action: {
+        type: 'modifyHeaders',
+        responseHeaders: [{ ...options.responseHeader, operation: 'append' }]
+      },
+      condition: condition
+    };
+  }
+
+  if (options.removeParam) {
+    return {
+      id: id,
+      priority: options.isImportant ? RULE_PRIORITY.IMPORTANT : RULE_PRIORITY.BLOCK,
+      action: {
+        type: 'redirect',
+        redirect: options.removeParam.transform
+          ? { transform: options.removeParam.transform }
+          : { regexSubstitution: REMOVE_PARAM_SUBSTITUTION }
+      },
+      condition: condition
+    };
+  }
+
+  if (options.redirect) {
+    return {
+      id: id,
+      priority: options.isImportant ? RULE_PRIORITY.IMPORTANT_REDIRECT : RULE_PRIORITY.REDIRECT,
+      action: {
+        type: 'redirect',
+        redirect: { extensionPath: `/${options.redirect}` }
+      },
+      condition: condition
+    };
+  }
+
+  return {
+    id: id,
+    priority: options.isImportant ? RULE_PRIORITY.IMPORTANT : RULE_PRIORITY.BLOCK,
+    action: { type: 'block' },
+    condition: condition
+  };
+}
+
+
+function parseResourceTypeRule(line, id, isException = false) {
+  try {
+    const separatorIndex = line.lastIndexOf('$');
+    if (separatorIndex === -1) return null;
+
+    const pattern = line.substring(0, separatorIndex);
+    const options = parseFilterOptions(line.substring(separatorIndex + 1));
+
+    if (options.unsupported.length > 0) {
+      return dropUnsupportedOptions(options, line);
+    }
+
+    // parsePopupFilter picks up the popup part; other types still get a rule.
+    if (options.popup && !options.condition.resourceTypes) {
+      return null;
+    }
+
+    const cosmeticOnly = options.pageExceptions.length > 0 && !options.pageExceptions.includes('document');
+    if (cosmeticOnly && !options.condition.resourceTypes) {
+      if (!isException) {
+        return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, 'Page-level exception options only apply to @@ filters', line);
+      }
+      return null;
+    }
+
+    if (options.responseHeader && !options.responseHeader.value && !isException) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, 'Header filter without a value', line);
+    }
+
+    const condition = { ...options.condition };
+
+    if (options.removeParam && options.removeParam.paramPattern) {
+      const hostMatch = pattern.match(/^\|\|([a-z0-9.-]+)\^?$/);
+      if (pattern && pattern !== '*' && !hostMatch) {
+        return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, 'removeparam with a regex cannot be combined with a URL pattern', line);
+      }
+      if (hostMatch) {
+        condition.requestDomains = [hostMatch[1]];
+      }
+      condition.regexFilter = buildRemoveParamRegex(options.removeParam.paramPattern);
+      condition.isUrlFilterCaseSensitive = options.removeParam.isCaseSensitive;
+      return createNetworkRule(id, options, condition);
+    }
+
+    if (pattern && pattern !== '*') {
+      let urlFilter = pattern;
+      if (!pattern.startsWith('|') && !urlFilter.includes('*')) {
+        urlFilter = `*${urlFilter}*`;
+      }
+      condition.urlFilter = urlFilter;
+    } else if (!condition.initiatorDomains && !condition.requestDomains && !options.removeParam) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_SYNTAX, 'Filter has neither a pattern nor a domain restriction', line);
+    }
+
+    return createNetworkRule(id, options, condition);
+  } catch (error) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.PARSE_ERROR, `Failed to parse filter options: ${error.message}`, line);
+  }
+}
+
+
+function dropUnsupportedOptions(options, line) {
+  if (options.invalidDomains.length > 0) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.INVALID_DOMAIN, `Invalid domain in options: ${options.invalidDomains.join(', ')}`, line);
+  }
+  return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, `Unsupported options: ${options.unsupported.join(', ')}`, line);
+}
+
+
+function splitRegexFilter(line) {
+  if (!line.startsWith('/') || line.length < 3) return null;
+
+  let separatorIndex = line.lastIndexOf('/$');
+  while (separatorIndex > 0) {
+    const optionText = line.substring(separatorIndex + 2);
+    if (/^~?[a-z0-9_-]+(=|,|$)/i.test(optionText)) {
+      return { source: line.substring(1, separatorIndex), optionText };
+    }
+    separatorIndex = line.lastIndexOf('/$', separatorIndex - 1);
+  }
+
+  if (line.endsWith('/')) {
+    return { source: line.substring(1, line.length - 1), optionText: '' };
+  }
+
+  return null;
+}
+
+
+function parseRegexRule(line, id) {
+  try {
+    const { source, optionText } = splitRegexFilter(line);
+    const options = parseFilterOptions(optionText);
+
+    if (options.unsupported.length > 0) {
+      return dropUnsupportedOptions(options, line);
+    }
+
+    try {
+      new RegExp(source);
+    } catch (error) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.REGEX_REJECTED, `Invalid regular expression: ${error.message}`, line);
+    }
+
+    if (options.pageExceptions.length > 0 && !options.pageExceptions.includes('document') && !options.condition.resourceTypes) {
+      return null;
+    }
+
+    if (options.popup && !options.condition.resourceTypes) {
+      return null;
+    }
+
+    if (options.removeParam && options.removeParam.paramPattern) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, 'removeparam with a regex cannot be combined with a regex filter', line);
+    }
+
+    return createNetworkRule(id, options, {
+      ...options.condition,
+      regexFilter: source
+    });
+  } catch (error) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.PARSE_ERROR, `Failed to parse regex rule: ${error.message}`, line);
+  }
+}
+
+
+function splitScriptletArgs(argText) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let escaped = false;
+
+  for (const char of argText) {
+    if (escaped) {
+      current += (char === ',' || char === '"' || char === "'") ? char : `\\${char}`;
+      escaped = false;
+    } else if (char === '\\') {
+      escaped = true;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if ((char === '"' || char === "'") && current.trim() === '') {
+      current = '';
+      quote = char;
+    } else if (char === ',') {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim() !== '' || args.length > 0) {
+    args.push(current.trim());
+  }
+  return args;
+}
+
+
+function parseScriptletRule(line) {
+  try {
+    const ublockMatch = line.match(/^([^#]*)#(@?)#\+js\((.*)\)$/);
+    const adguardMatch = ublockMatch ? null : line.match(/^([^#]*)#(@?)%#\/\/scriptlet\((.*)\)$/);
+    const parts = ublockMatch || adguardMatch;
+    if (!parts) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'Malformed scriptlet filter', line);
+    }
+
+    const [, domainText, exceptionMarker, argText] = parts;
+    const isException = exceptionMarker === '@';
+    const [rawName = '', ...args] = splitScriptletArgs(argText);
+
+
+    if (isException && rawName === '') {
+      return { domains: splitCosmeticDomains(domainText), name: null, args: [], isException };
+    }
+
+    const name = resolveScriptletName(rawName);
+    if (!name) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, `Unknown scriptlet "${rawName}"`, line);
+    }
+
+    return { domains: splitCosmeticDomains(domainText), name, args, isException };
+  } catch (error) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, `Failed to parse scriptlet rule: ${error.message}`, line);
+  }
+}
+
+
+function splitCosmeticDomains(domainText) {
+  return domainText.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+}
+
+
+// Files a cosmetic value under every domain (or google.* entity) its filter
+// lists, or as generic when it lists none. A ~domain gets no entry of its own;
+// it is recorded in negated[domain][includedDomain] so a lookup can take back
+// exactly the entries that filter made. See getCosmeticHostnameKeys in
+// cosmetic-hostnames.js.
+function addCosmeticEntry(target, negated, domains, value, options = {}) {
+  const included = domains.filter(domain => !domain.startsWith('~'));
+  const includedKeys = included.length > 0 ? included : ['global'];
+
+  for (const key of includedKeys) {
+    if (key === 'global' && options.generic) {
+      options.generic.push(value);
+      continue;
+    }
+    if (!target[key]) {
+      target[key] = [];
+    }
+    target[key].push(value);
+  }
+
+  for (const domain of domains.filter(domain => domain.startsWith('~'))) {
+    const excluded = domain.substring(1);
+    if (!negated[excluded]) {
+      negated[excluded] = {};
+    }
+    for (const key of includedKeys) {
+      if (!negated[excluded][key]) {
+        negated[excluded][key] = [];
+      }
+      negated[excluded][key].push(options.negatedKey || value);
+    }
+  }
+}
+
+
+// Collects the values filed under any of the hostname keys (plus generic ones)
+// and drops those a ~domain filter took back for this hostname.
+function resolveCosmeticEntries(target, negated, hostnameKeys, options = {}) {
+  const keyOf = options.keyOf || (value => value);
+  const takenBack = new Set();
+
+  for (const key of hostnameKeys) {
+    for (const [includedKey, values] of Object.entries((negated || {})[key] || {})) {
+      values.forEach(value => takenBack.add(`${includedKey}\n${value}`));
+    }
+  }
+
+  const entries = [];
+  const sources = options.generic ? [['global', options.generic]] : [];
+  for (const key of options.generic ? hostnameKeys : ['global', ...hostnameKeys]) {
+    if (target[key]) sources.push([key, target[key]]);
+  }
+
+  for (const [key, values] of sources) {
+    for (const value of values) {
+      if (!takenBack.has(`${key}\n${keyOf(value)}`)) entries.push(value);
+    }
+  }
+
+  return entries;
+}
+
+
+// The scriptlet calls for a page: its entries minus those a #@#+js(name)
+// exception names, or none at all under a bare #@#+js(). tools/compile-filters.js
+// copies this and resolveCosmeticEntries into the bundled lists' scriptlet
+// files, so neither may use anything else from this file.
+function resolveScriptletCalls(scriptletRules, hostnameKeys) {
+  const excludedNames = new Set(resolveCosmeticEntries(scriptletRules.exceptions, null, hostnameKeys));
+  if (excludedNames.has(null)) return [];
+
+  const calls = [];
+  const seen = new Set();
+  const callKey = call => JSON.stringify([call.name, call.args]);
+  const resolved = resolveCosmeticEntries(scriptletRules.domains, scriptletRules.negated, hostnameKeys, {
+    keyOf: callKey
+  });
+  for (const call of resolved) {
+    const key = callKey(call);
+    if (excludedNames.has(call.name) || seen.has(key)) continue;
+    seen.add(key);
+    calls.push(call);
+  }
+  return calls;
+}
+
+
+function parseCSSRule(line) {
+  try {
+
+    const parts = line.match(/^([^#]*)#(@?)\??#(.+)$/);
+    if (!parts) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'Malformed element hiding filter', line);
+    }
+    
+    const [, domain, exceptionMarker, rawSelector] = parts;
+    const isException = exceptionMarker === '@';
+    
+
+    if (!rawSelector || rawSelector.trim().length < 1) {
+      return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'Element hiding filter without a selector', line);
+    }
+
+    const selector = translateExtendedSelector(rawSelector.trim(), line);
+    if (!selector) return null;
+    
+    return {
+      domains: splitCosmeticDomains(domain),
+      selector: selector,
+      isException: isException
+    };
+  } catch (error) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, `Failed to parse element hiding filter: ${error.message}`, line);
+  }
+}
+
+
+// AdGuard cosmetic markers with no uBO equivalent: #$# CSS injection (and
+// #$?# with extended selectors), #%# JavaScript, and $$ / ##^ HTML filtering,
+// each with an @ exception form. #%#//scriptlet() is handled as a scriptlet.
+const ADGUARD_COSMETIC_PATTERN = /^([^#$]*)(#@?\$\??#|#@?%#|\$@?\$|#@?#\^)(.*)$/;
+
+const ADGUARD_UNSUPPORTED_PSEUDO_CLASSES = ['matches-attr', 'matches-property', 'others'];
+
+
+// Rewrites AdGuard's extended CSS spellings into the ones content.js
+// understands: [-ext-has="..."] attributes, :if() and :if-not().
+function translateExtendedSelector(selector, line) {
+  const translated = selector
+    .replace(/\[-ext-([a-z-]+)=(["'])(.*?)\2\]/g, ':$1($3)')
+    .replace(/:if-not\(/g, ':not(')
+    .replace(/:if\(/g, ':has(');
+
+  const unsupported = ADGUARD_UNSUPPORTED_PSEUDO_CLASSES.find(name => translated.includes(`:${name}(`));
+  if (unsupported) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, `Extended CSS :${unsupported}() is not supported`, line);
+  }
+  return translated;
+}
+
+
+function parseAdGuardCosmeticRule(line) {
+  const [, domainText, marker, body] = line.match(ADGUARD_COSMETIC_PATTERN);
+  const isException = marker.includes('@');
+
+  if (marker.startsWith('$') || marker.endsWith('^')) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'HTML filtering needs the response body, which Manifest V3 does not expose', line);
+  }
+  if (marker.includes('%')) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'AdGuard JavaScript rules cannot run under Manifest V3; only #%#//scriptlet() is supported', line);
+  }
+
+  const parts = body.match(/^([^{}]+?)\s*\{([^{}]*)\}\s*$/);
+  if (!parts) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'CSS injection rule without a { style } block', line);
+  }
+
+  const selector = translateExtendedSelector(parts[1].trim(), line);
+  if (!selector) return null;
+
+  const style = parts[2].trim().replace(/;$/, '');
+  if (/^remove\s*:\s*true$/i.test(style)) {
+    return { domains: splitCosmeticDomains(domainText), selector: `${selector}:remove()`, style: null, isException };
+  }
+  if (!style || /url\s*\(|expression\s*\(|@import/i.test(style)) {
+    return dropFilter(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'CSS injection rules must set plain declarations without url() or @import', line);
+  }
+
+  return { domains: splitCosmeticDomains(domainText), selector, style, isException };
+}
+
+
+function hashFilterText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+
+function parseFilterList(filterList, context = {}) {
+  const rules = [];
+  const cssRules = context.cssRules || {
+    global: [],
+    domains: {},
+    negated: {},
+    exceptions: {},
+    styles: {},
+    styleNegated: {},
+    styleExceptions: {},
+    pageExceptions: []
+  };
+  const scriptletRules = context.scriptletRules || {
+    domains: {},
+    negated: {},
+    exceptions: {}
+  };
+  const popupFilters = context.popupFilters || {
+    blocks: [],
+    exceptions: []
+  };
+  const headerExceptions = context.headerExceptions || [];
+  const badfilters = context.badfilters || new Map();
+  const lines = filterList.split('\n');
+  let id = 1;
+  let ruleCount = 0;
+  const nextId = line => context.allocator ? context.allocator.allocate(line) : id++;
+  let line = '';
+  let lineNumber = 0;
+  let lineHandled = false;
+  const addRule = (rule) => {
+    rules.push(rule);
+    ruleCount++;
+    lineHandled = true;
+    if (context.ruleSources) {
+      context.ruleSources[rule.id] = { list: context.listKey || null, line: lineNumber, filter: line };
+    }
+  };
+  const diagnose = (category, message) => {
+    lineHandled = true;
+    if (context.diagnostics) {
+      context.diagnostics.push({ line: lineNumber, text: line, category, message });
+    } else {
+      console.warn(`${message}:`, line);
+    }
+  };
+  const addCosmeticException = (target, domains, value) => {
+    if (domains.some(domain => domain.startsWith('~'))) {
+      diagnose(DIAGNOSTIC_CATEGORIES.COSMETIC_SYNTAX, 'Exceptions cannot exclude domains with ~');
+      return;
+    }
+    addCosmeticEntry(target, null, domains, value);
+  };
+  diagnosticSink = diagnose;
+  
+  for (const [index, rawLine] of lines.entries()) {
+    line = rawLine.trim();
+    lineNumber = index + 1;
+    lineHandled = false;
+
+    if (line.startsWith('!') || line.trim() === '') continue;
+    
+
+    if (line.length < 3) continue;
+    
+    try {
+
+      if (line.includes('#+js(') || line.includes('%#//scriptlet(')) {
+        const scriptletRule = parseScriptletRule(line);
+        if (scriptletRule && scriptletRule.isException) {
+          addCosmeticException(scriptletRules.exceptions, scriptletRule.domains, scriptletRule.name);
+        } else if (scriptletRule) {
+          const call = { name: scriptletRule.name, args: scriptletRule.args };
+          addCosmeticEntry(scriptletRules.domains, scriptletRules.negated, scriptletRule.domains, call, {
+            negatedKey: JSON.stringify([call.name, call.args])
+          });
+        }
+        continue;
+      }
+
+
+      if (ADGUARD_COSMETIC_PATTERN.test(line) && !line.startsWith('@@')) {
+        const adguardRule = parseAdGuardCosmeticRule(line);
+        if (adguardRule && adguardRule.style) {
+          const style = `${adguardRule.selector} { ${adguardRule.style} }`;
+          if (adguardRule.isException) {
+            addCosmeticException(cssRules.styleExceptions, adguardRule.domains, style);
+          } else {
+            addCosmeticEntry(cssRules.styles, cssRules.styleNegated, adguardRule.domains, style);
+          }
+        } else if (adguardRule && adguardRule.isException) {
+          addCosmeticException(cssRules.exceptions, adguardRule.domains, adguardRule.selector);
+        } else if (adguardRule) {
+          addCosmeticEntry(cssRules.domains, cssRules.negated, adguardRule.domains, adguardRule.selector, {
+            generic: cssRules.global
+          });
+        }
+        continue;
+      }
+
+
+      if (/#@?\??#/.test(line) && !line.startsWith('@@')) {
+        const cssRule = parseCSSRule(line);
+        if (cssRule && cssRule.isException) {
+          addCosmeticException(cssRules.exceptions, cssRule.domains, cssRule.selector);
+        } else if (cssRule) {
+          addCosmeticEntry(cssRules.domains, cssRules.negated, cssRule.domains, cssRule.selector, {
+            generic: cssRules.global
+          });
+        }
+        continue;
+      }
+      
+
+      if (line.includes('badfilter') || badfilters.size > 0) {
+        const signature = getFilterSignature(line);
+        if (signature.isBadfilter) continue;
+        if (badfilters.has(signature.key)) {
+          if (context.cancelled) {
+            context.cancelled.push({
+              filter: line,
+              list: context.listName || null,
+              cancelledBy: badfilters.get(signature.key)
+            });
+          }
+          continue;
+        }
+      }
+
+
+      if (line.includes('popup')) {
+        const popupFilter = parsePopupFilter(line);
+        if (popupFilter) {
+          (popupFilter.isException ? popupFilters.exceptions : popupFilters.blocks).push(popupFilter);
+          lineHandled = true;
+        }
+      }
+
+
+      const ruleId = nextId(line);
+
+      if (line.startsWith('@@')) {
+        const headerException = parseHeaderException(line);
+        if (headerException && headerException.error) {
+          diagnose(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_OPTION, headerException.error);
+          continue;
+        }
+        if (headerException) {
+          headerExceptions.push(headerException);
+          continue;
+        }
+
+        const pageException = parsePageException(line);
+        if (pageException) {
+          cssRules.pageExceptions.push(pageException);
+          lineHandled = true;
+        }
+
+        const exceptionRule = parseExceptionRule(line, ruleId);
+        if (exceptionRule) {
+          addRule(exceptionRule);
+        } else if (!lineHandled) {
+          diagnose(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_SYNTAX, 'Exception filter syntax is not recognised');
+        }
+        continue;
+      }
+      
+
+      if (splitRegexFilter(line)) {
+        const regexRule = parseRegexRule(line, ruleId);
+        if (regexRule) {
+          addRule(regexRule);
+        }
+        continue;
+      }
+
+
+      if (line.includes('$')) {
+        const resourceRule = parseResourceTypeRule(line, ruleId);
+        if (resourceRule) {
+          addRule(resourceRule);
+        }
+        continue;
+      }
+
+
+      if (line.startsWith('/')) {
+        const urlRule = parseURLPatternRule(line, ruleId);
+        if (urlRule) {
+          addRule(urlRule);
+        }
+        continue;
+      }
+      
+
+      if (line.startsWith('||') && line.endsWith('^')) {
+        const domain = line.substring(2, line.length - 1);
+        if (isValidFilterDomain(domain)) {
+          addRule(createComprehensiveBlockRule(ruleId, domain));
+        }
+      }
+
+      else if (line.startsWith('||') && line.includes('^')) {
+        const domain = line.substring(2, line.indexOf('^'));
+        if (isValidFilterDomain(domain)) {
+          addRule(createComprehensiveBlockRule(ruleId, domain));
+        }
+      }
+
+      else if (line.startsWith('||')) {
+        const domain = line.substring(2);
+        if (isValidFilterDomain(domain)) {
+          addRule(createComprehensiveBlockRule(ruleId, domain));
+        }
+      }
+
+      if (!lineHandled) {
+        if (line.startsWith('||') && /^[^^]*\//.test(line.substring(2))) {
+          diagnose(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_SYNTAX, 'Path-level || filters are only supported with $ options');
+        } else if (line.startsWith('||')) {
+          diagnose(DIAGNOSTIC_CATEGORIES.INVALID_DOMAIN, 'Invalid domain');
+        } else {
+          diagnose(DIAGNOSTIC_CATEGORIES.UNSUPPORTED_SYNTAX, 'Filter syntax is not recognised');
+        }
+      }
+      
+    } catch (error) {
+      diagnose(DIAGNOSTIC_CATEGORIES.PARSE_ERROR, `Failed to parse filter rule: ${error.message}`);
+      continue;
+    }
+  }
+  diagnosticSink = null;
+  
+
+  console.log(`Parsed ${ruleCount} valid rules from ${lines.length} lines`);
+  return applyHeaderExceptions(rules, headerExceptions);
+}
+
+
+function createBlockRule(id, domain, resourceTypes, priority = RULE_PRIORITY.BLOCK) {
+  return {
+    id: id,
+    priority: priority,
+    action: { type: 'block' },
+    condition: {
+      urlFilter: `||${domain}^`,
+      resourceTypes: resourceTypes,
+      excludedInitiatorDomains: []
+    }
+  };
+}
+
+
+function createComprehensiveBlockRule(id, domain, priority = RULE_PRIORITY.BLOCK) {
+  return {
+    id: id,
+    priority: priority,
+    action: { type: 'block' },
+    condition: {
+      urlFilter: `||${domain}`,
+      resourceTypes: [
+        'script',
+        'image', 
+        'stylesheet',
+        'object',
+        'xmlhttprequest',
+        'sub_frame',
+        'ping',
+        'csp_report',
+        'media',
+        'font',
+        'websocket',
+        'other'
+      ],
+      excludedInitiatorDomains: []
+    }
+  };
+}
+
+
+function isValidFilterDomain(domain) {
+  if (!domain || domain.length < 3) return false;
+  if (domain.length > 253) return false;
+  
+
+  return /^[a-z0-9.-]+$/.test(domain) && 
+         !domain.startsWith('.') && 
+         !domain.endsWith('.') &&
+         !domain.includes('..');
+}
+
+
+function deduplicateRules(rules) {
+  const seen = new Set();
+  const deduplicated = [];
+  
+  for (const rule of rules) {
+    const key = JSON.stringify([rule.priority, rule.action, rule.condition]);
+    if (!seen.has(key)) {
+      seen.add(key);
+      deduplicated.push(rule);
+    }
+  }
+  
+  console.log(`Deduplicated ${rules.length} rules to ${deduplicated.length} rules`);
+  return deduplicated;
+}
+
+
+function mergeModifyHeadersRules(rules) {
+  const merged = [];
+  const groups = new Map();
+
+  for (const rule of rules) {
+    if (rule.action.type !== 'modifyHeaders') {
+      merged.push(rule);
+      continue;
+    }
+
+    const key = JSON.stringify([rule.priority, rule.condition]);
+    const existing = groups.get(key);
+    if (!existing) {
+      const copy = {
+        ...rule,
+        action: {
+          ...rule.action,
+          responseHeaders: rule.action.responseHeaders.map(header => ({ ...header }))
+        }
+      };
+      groups.set(key, copy);
+      merged.push(copy);
+      continue;
+    }
+
+    for (const header of rule.action.responseHeaders) {
+      const target = existing.action.responseHeaders.find(h => h.header === header.header);
+      if (!target) {
+        existing.action.responseHeaders.push({ ...header });
+      } else if (!target.value.split(', ').includes(header.value)) {
+        target.value = `${target.value}, ${header.value}`;
+      }
+    }
+  }
+
+  return merged;
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DIAGNOSTIC_CATEGORIES,
+    RULE_PRIORITY,
+    PRECEDENCE_CHECKS,
+    RESOURCE_TYPE_OPTIONS,
+    REDIRECT_RESOURCES,
+    parseFilterListHeader,
+    evaluatePreprocessorCondition,
+    preprocessFilterList,
+    parseDifferentialPatch,
+    applyRcsDiff,
+    resolveCosmeticEntries,
+    resolveScriptletCalls,
+    FILTER_LIST_FORMATS,
+    detectFilterListFormat,
+    convertDomainList,
+    getFilterSignature,
+    collectBadfilters,
+    applyHeaderExceptions,
+    parseFilterOptions,
+    parseFilterList,
+    createComprehensiveBlockRule,
+    isValidFilterDomain,
+    deduplicateRules,
+    mergeModifyHeadersRules
+  };
+}
@@ -0,0 +1,134 @@
+// ZenBlock filter store
+// IndexedDB storage for the bulky per-list data: downloaded list text
+// (filterCache_<list>), included sub-lists (filterInclude_<url>) and compiled
+// rules with their cosmetic filters (compiledCache_<list>). Values are stored
+// as gzip-compressed JSON. The merged cosmetic rules (cosmetic:<key>, see
+// cosmetic-hostnames.js) and scriptletRules stay in chrome.storage.local
+// because content scripts read them directly and cannot open the extension's
+// database.
+
+
+const FILTER_STORE_DB = 'zenblock-filter-store';
+const FILTER_STORE_VERSION = 1;
+const FILTER_STORE_NAME = 'entries';
+const FILTER_STORE_KEY_PATTERN = /^(filterCache_|compiledCache_|filterInclude_)/;
+
+let filterStorePromise = null;
+
+
+function openFilterStore() {
+  if (!filterStorePromise) {
+    filterStorePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(FILTER_STORE_DB, FILTER_STORE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(FILTER_STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    filterStorePromise.catch(() => {
+      filterStorePromise = null;
+    });
+  }
+  return filterStorePromise;
+}
+
+
+async function runFilterStoreTransaction(mode, operation) {
+  const db = await openFilterStore();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(FILTER_STORE_NAME, mode);
+    const request = operation(transaction.objectStore(FILTER_STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+
+async function compressBlob(blob) {
+  const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+
+
+async function decompressToText(buffer) {
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+
+async function getStoredFilterData(key) {
+  const entry = await runFilterStoreTransaction('readonly', store => store.get(key));
+  if (!entry) return undefined;
+  return JSON.parse(await decompressToText(entry.data));
+}
+
+
+async function setStoredFilterData(key, value) {
+  const raw = new Blob([JSON.stringify(value)]);
+  const data = await compressBlob(raw);
+  await runFilterStoreTransaction('readwrite', store => store.put({
+    key,
+    data,
+    rawSize: raw.size,
+    storedSize: data.byteLength,
+    updatedAt: Date.now()
+  }));
+}
+
+
+async function removeStoredFilterData(keys) {
+  await runFilterStoreTransaction('readwrite', store => {
+    keys.forEach(key => store.delete(key));
+    return null;
+  });
+}
+
+
+async function getAllStoredFilterData() {
+  const keys = await runFilterStoreTransaction('readonly', store => store.getAllKeys());
+  const entries = {};
+  for (const key of keys) {
+    entries[key] = await getStoredFilterData(key);
+  }
+  return entries;
+}
+
+
+async function getFilterStoreReport() {
+  const entries = [];
+
+  await runFilterStoreTransaction('readonly', store => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const { key, rawSize, storedSize, updatedAt } = cursor.value;
+      entries.push({ key, rawSize, storedSize, updatedAt });
+      cursor.continue();
+    };
+    return null;
+  });
+
+  return {
+    entries,
+    rawSize: entries.reduce((total, entry) => total + entry.rawSize, 0),
+    storedSize: entries.reduce((total, entry) => total + entry.storedSize, 0)
+  };
+}
+
+
+// Earlier versions kept these entries in chrome.storage.local.
+async function migrateLegacyFilterCaches() {
+  const local = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(local).filter(key => FILTER_STORE_KEY_PATTERN.test(key));
+
+  for (const key of legacyKeys) {
+    await setStoredFilterData(key, local[key]);
+  }
+  if (legacyKeys.length > 0) {
+    await chrome.storage.local.remove(legacyKeys);
+    console.log(`Moved ${legacyKeys.length} filter caches to IndexedDB`);
+  }
+}
@@ -142,6 +142,7 @@ document.addEventListener('DOMContentLoaded', () => {
       let activeFilters = 0;
       if (data.filterLists?.easyList !== false) activeFilters++;
       if (data.filterLists?.privacyList === true) activeFilters++;
+      if (data.filterLists?.trackingList === true) activeFilters++;
       filterCount.textContent = activeFilters;
     }
 
@@ -312,7 +313,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   async function loadSettings() {
     try {
-      const data = await chrome.storage.sync.get(['whitelist', 'filterLists', 'updateFrequency', 'performanceStats', 'theme']);
+      const data = await chrome.storage.sync.get(['whitelist', 'filterLists', 'heuristicFiltering', 'updateFrequency', 'performanceStats', 'theme']);
       
 
       if (data.theme) {
@@ -330,9 +331,11 @@ document.addEventListener('DOMContentLoaded', () => {
       updateWhitelistDisplay(whitelist);
 
 
-      const filterLists = data.filterLists || { easyList: true, privacyList: false };
+      const filterLists = data.filterLists || { easyList: true, privacyList: false, trackingList: false };
       if (enableEasyList) enableEasyList.checked = filterLists.easyList !== false;
       if (enablePrivacyList) enablePrivacyList.checked = filterLists.privacyList || false;
+      if (enableTrackingList) enableTrackingList.checked = filterLists.trackingList || false;
+      if (enableHeuristicFiltering) enableHeuristicFiltering.checked = data.heuristicFiltering === true;
 
 
       if (updateFrequency) updateFrequency.value = data.updateFrequency || '7';
@@ -457,6 +460,596 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
 
+  async function loadFilterLists() {
+    if (!filterListsContainer) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getFilterLists' });
+      const lists = response && response.success ? response.data : {};
+
+      filterListsContainer.innerHTML = '';
+
+      Object.entries(lists).forEach(([listId, list]) => {
+        const metadata = list.metadata || {};
+        const item = document.createElement('div');
+        item.className = 'whitelist-item';
+        item.dataset.listId = listId;
+
+        const details = document.createElement('div');
+        details.style.flex = '1';
+
+        const title = document.createElement('div');
+        title.className = 'whitelist-domain';
+        title.style.fontWeight = '500';
+        title.textContent = metadata.title || list.name;
+        details.appendChild(title);
+
+        const info = document.createElement('div');
+        info.style.color = 'var(--text-muted)';
+        info.style.fontSize = '13px';
+        info.style.marginTop = '4px';
+        info.textContent = [
+          `Version ${metadata.version || list.version || 'unknown'}`,
+          metadata.format && metadata.format !== 'adblock' ? FILTER_LIST_FORMAT_LABELS[metadata.format] : null,
+          metadata.lastModified ? `modified ${metadata.lastModified}` : null,
+          list.enabled === false ? 'Disabled' : describeNextUpdate(metadata)
+        ].filter(Boolean).join(' · ');
+        details.appendChild(info);
+
+        const lastUpdate = (list.updateHistory || [])[0];
+        if (lastUpdate) {
+          const history = document.createElement('div');
+          history.style.color = 'var(--text-muted)';
+          history.style.fontSize = '13px';
+          history.textContent = `Last check ${new Date(lastUpdate.at).toLocaleString()}: ${describeUpdateOutcome(lastUpdate)}`;
+          history.title = list.updateHistory
+            .map(entry => `${new Date(entry.at).toLocaleString()}: ${describeUpdateOutcome(entry)}`)
+            .join('\n');
+          details.appendChild(history);
+        }
+
+        if (metadata.homepage) {
+          const homepage = document.createElement('a');
+          homepage.href = metadata.homepage;
+          homepage.target = '_blank';
+          homepage.rel = 'noopener noreferrer';
+          homepage.style.fontSize = '13px';
+          homepage.textContent = metadata.homepage;
+          details.appendChild(homepage);
+        }
+
+        item.appendChild(details);
+
+        const priority = document.createElement('select');
+        priority.className = 'form-select';
+        priority.style.width = 'auto';
+        priority.title = 'Share of the rule quota this list gets when lists compete for it';
+        [[3, 'High priority'], [2, 'Normal priority'], [1, 'Low priority']].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          priority.appendChild(option);
+        });
+        priority.value = list.priority || 2;
+        priority.addEventListener('change', () => setFilterListPriority(listId, priority.value));
+        item.appendChild(priority);
+
+        filterListsContainer.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load filter lists:', error);
+    }
+  }
+
+
+  const FILTER_LIST_FORMAT_LABELS = {
+    hosts: 'hosts file',
+    dnsmasq: 'dnsmasq list',
+    domains: 'domain list'
+  };
+
+
+  function openCustomListModal() {
+    customListName.value = '';
+    customListUrl.value = '';
+    customListDescription.value = '';
+    customListFormat.value = 'auto';
+    customListModal.classList.add('active');
+    customListName.focus();
+  }
+
+
+  function closeCustomListModal() {
+    customListModal.classList.remove('active');
+  }
+
+
+  async function confirmAddCustomList() {
+    const name = customListName.value.trim();
+    const url = customListUrl.value.trim();
+
+    if (!name || !/^https?:\/\//i.test(url)) {
+      showError('Please enter a name and an http(s) URL');
+      return;
+    }
+
+    confirmAddList.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'addCustomFilterList',
+        name,
+        url,
+        description: customListDescription.value.trim(),
+        format: customListFormat.value
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+      closeCustomListModal();
+      showSavedMessage();
+      loadFilterLists();
+      loadRuleBudgetReport();
+      loadFilterDiagnostics();
+    } catch (error) {
+      console.error('Failed to add custom filter list:', error);
+      showError(`Failed to add filter list: ${error.message}`);
+    } finally {
+      confirmAddList.disabled = false;
+    }
+  }
+
+
+  if (customListModal) {
+    addCustomListBtn.addEventListener('click', openCustomListModal);
+    closeModal.addEventListener('click', closeCustomListModal);
+    cancelAddList.addEventListener('click', closeCustomListModal);
+    confirmAddList.addEventListener('click', confirmAddCustomList);
+  }
+
+
+  let filterListCatalog = { categories: {}, lists: {} };
+
+
+  async function loadFilterListCatalog() {
+    if (!catalogContainer) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getFilterListCatalog' });
+      if (!response || !response.success) return;
+      filterListCatalog = response.data;
+
+      if (catalogCategory.options.length === 1) {
+        Object.entries(filterListCatalog.categories).forEach(([category, label]) => {
+          const option = document.createElement('option');
+          option.value = category;
+          option.textContent = label;
+          catalogCategory.appendChild(option);
+        });
+      }
+
+      renderFilterListCatalog();
+    } catch (error) {
+      console.error('Failed to load filter list catalog:', error);
+    }
+  }
+
+
+  function renderFilterListCatalog() {
+    const category = catalogCategory.value;
+    catalogContainer.innerHTML = '';
+
+    // Lists suggested for the browser's languages come first.
+    const entries = Object.entries(filterListCatalog.lists)
+      .filter(([, list]) => !category || list.category === category)
+      .sort(([, a], [, b]) => (b.suggested && !b.subscribed) - (a.suggested && !a.subscribed));
+
+    entries.forEach(([listId, list]) => {
+      const item = document.createElement('div');
+      item.className = 'whitelist-item';
+
+      const details = document.createElement('div');
+      details.style.flex = '1';
+
+      const title = document.createElement('div');
+      title.className = 'whitelist-domain';
+      title.style.fontWeight = '500';
+      title.textContent = list.name;
+      details.appendChild(title);
+
+      const info = document.createElement('div');
+      info.style.color = 'var(--text-muted)';
+      info.style.fontSize = '13px';
+      info.style.marginTop = '4px';
+      info.textContent = [
+        filterListCatalog.categories[list.category],
+        list.description,
+        list.suggested && !list.subscribed ? 'Suggested for your language' : null
+      ].filter(Boolean).join(' · ');
+      details.appendChild(info);
+
+      const homepage = document.createElement('a');
+      homepage.href = list.homepage;
+      homepage.target = '_blank';
+      homepage.rel = 'noopener noreferrer';
+      homepage.style.fontSize = '13px';
+      homepage.textContent = list.homepage;
+      details.appendChild(homepage);
+
+      item.appendChild(details);
+
+      const button = document.createElement('button');
+      button.className = list.subscribed ? 'btn btn-secondary' : 'btn btn-primary';
+      button.textContent = list.subscribed ? 'Unsubscribe' : 'Subscribe';
+      button.addEventListener('click', () => setCatalogListSubscribed(listId, !list.subscribed, button));
+      item.appendChild(button);
+
+      catalogContainer.appendChild(item);
+    });
+  }
+
+
+  async function setCatalogListSubscribed(listId, subscribed, button) {
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'setCatalogListSubscribed',
+        listId,
+        subscribed
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+      showSavedMessage();
+      loadFilterListCatalog();
+      loadFilterLists();
+      loadRuleBudgetReport();
+      loadFilterDiagnostics();
+    } catch (error) {
+      console.error('Failed to update filter list subscription:', error);
+      showError(`Failed to update subscription: ${error.message}`);
+      button.disabled = false;
+    }
+  }
+
+
+  if (catalogContainer) {
+    catalogCategory.addEventListener('change', renderFilterListCatalog);
+  }
+
+
+  function describeNextUpdate(metadata) {
+    if (!metadata.nextUpdate) {
+      return metadata.source ? 'Bundled list, updated with the extension' : 'Not loaded yet';
+    }
+    if (metadata.nextUpdate <= Date.now()) {
+      return 'Update due';
+    }
+    return `Next update ${new Date(metadata.nextUpdate).toLocaleString()}`;
+  }
+
+
+  const UPDATE_OUTCOME_LABELS = {
+    downloaded: 'downloaded',
+    notModified: 'not modified',
+    patched: 'patched',
+    cached: 'using cached copy',
+    local: 'using bundled file',
+    static: 'using bundled ruleset',
+    failed: 'failed'
+  };
+
+
+  function describeUpdateOutcome(entry) {
+    const parts = [UPDATE_OUTCOME_LABELS[entry.outcome] || entry.outcome];
+    if (entry.reusedRules) parts.push('compiled rules reused');
+    if (entry.error) parts.push(entry.error);
+    return parts.join(', ');
+  }
+
+
+  async function setFilterListPriority(listId, priority) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'setFilterListPriority',
+        listId,
+        priority
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+      showSavedMessage();
+      loadRuleBudgetReport();
+      loadFilterDiagnostics();
+    } catch (error) {
+      console.error('Failed to set filter list priority:', error);
+      showError('Failed to update the list priority');
+    }
+  }
+
+
+  async function loadRuleBudgetReport() {
+    if (!ruleBudgetContainer) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getRuleBudgetReport' });
+      const report = response && response.success ? response.data : null;
+
+      ruleBudgetContainer.innerHTML = '';
+
+      if (!report) {
+        ruleBudgetContainer.innerHTML = `
+          <div style="text-align: center; padding: 24px; color: var(--text-muted);">
+            <div style="font-size: 14px;">Filter lists have not been loaded yet</div>
+          </div>
+        `;
+        return;
+      }
+
+      const limits = document.createElement('div');
+      limits.style.color = 'var(--text-muted)';
+      limits.style.fontSize = '13px';
+      limits.style.marginBottom = '8px';
+      limits.textContent = [
+        `${report.limits.dynamic} dynamic rules`,
+        `${report.limits.regex} regex rules`,
+        report.limits.availableStatic !== null ? `${report.limits.availableStatic} static rules available` : null,
+        report.limits.guaranteedStatic ? `${report.limits.guaranteedStatic} static rules guaranteed` : null
+      ].filter(Boolean).join(' · ');
+      ruleBudgetContainer.appendChild(limits);
+
+      const reasons = {
+        dynamicQuota: 'over the list\'s share of dynamic rules',
+        regexQuota: 'over the regex rule limit',
+        unsafeQuota: 'over the redirect/header rule limit'
+      };
+
+      Object.entries(report.lists).forEach(([listId, list]) => {
+        const cut = report.cut.filter(entry => entry.list === listId);
+        const item = document.createElement(cut.length > 0 ? 'details' : 'div');
+        item.className = 'whitelist-item';
+        item.style.display = 'block';
+
+        const summary = document.createElement(cut.length > 0 ? 'summary' : 'div');
+        summary.className = 'whitelist-domain';
+        summary.textContent = `${list.name}: ${list.kept} of ${list.total} rules kept` +
+          (cut.length > 0 ? `, ${cut.length} cut` : '') +
+          (list.duplicates > 0 ? ` (${list.duplicates} already in another list)` : '');
+        item.appendChild(summary);
+
+        if (cut.length > 0) {
+          const filters = document.createElement('pre');
+          filters.style.fontSize = '12px';
+          filters.style.maxHeight = '240px';
+          filters.style.overflow = 'auto';
+          filters.textContent = cut
+            .map(entry => `${entry.line ? `${entry.line}: ` : ''}${entry.filter || '(unknown filter)'}  (${reasons[entry.reason] || entry.reason})`)
+            .join('\n');
+          item.appendChild(filters);
+        }
+
+        ruleBudgetContainer.appendChild(item);
+      });
+
+      report.staticRulesets.filter(ruleset => !ruleset.enabled).forEach(ruleset => {
+        const item = document.createElement('div');
+        item.className = 'whitelist-item';
+        item.textContent = `${ruleset.name}: bundled ruleset of ${ruleset.ruleCount} rules could not be enabled, not enough static rule quota`;
+        ruleBudgetContainer.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load rule budget report:', error);
+    }
+  }
+
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+
+  async function loadStorageReport() {
+    if (!storageReportContainer) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getStorageReport' });
+      if (!response || !response.success) return;
+      const report = response.data;
+
+      storageReportContainer.innerHTML = '';
+
+      const totals = document.createElement('div');
+      totals.style.color = 'var(--text-muted)';
+      totals.style.fontSize = '13px';
+      totals.style.marginBottom = '8px';
+      totals.textContent = [
+        `Filter caches: ${formatBytes(report.storedSize)} (${formatBytes(report.rawSize)} uncompressed)`,
+        `Settings and cosmetic filters: ${formatBytes(report.localBytes)}`
+      ].join(' · ');
+      storageReportContainer.appendChild(totals);
+
+      report.entries
+        .sort((a, b) => b.storedSize - a.storedSize)
+        .forEach(entry => {
+          const item = document.createElement('div');
+          item.className = 'whitelist-item';
+
+          const name = document.createElement('span');
+          name.className = 'whitelist-domain';
+          name.textContent = entry.key;
+          name.title = `Updated ${new Date(entry.updatedAt).toLocaleString()}`;
+          item.appendChild(name);
+
+          const size = document.createElement('span');
+          size.style.color = 'var(--text-muted)';
+          size.textContent = `${formatBytes(entry.storedSize)} of ${formatBytes(entry.rawSize)}`;
+          item.appendChild(size);
+
+          storageReportContainer.appendChild(item);
+        });
+    } catch (error) {
+      console.error('Failed to load storage report:', error);
+    }
+  }
+
+
+  async function exportBackup() {
+    try {
+      const includeCaches = document.getElementById('includeCachesInBackup').checked;
+      const response = await chrome.runtime.sendMessage({ action: 'exportSettings', includeCaches });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `zenblock-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      showError('Failed to export backup');
+    }
+  }
+
+
+  let filterDiagnostics = {};
+  const MAX_DIAGNOSTICS_SHOWN = 200;
+
+
+  async function loadFilterDiagnostics() {
+    if (!diagnosticsContainer) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getFilterDiagnostics' });
+      filterDiagnostics = response && response.success ? response.data : {};
+
+      const selected = diagnosticsList.value;
+      diagnosticsList.innerHTML = '';
+      Object.entries(filterDiagnostics).forEach(([listId, list]) => {
+        const option = document.createElement('option');
+        option.value = listId;
+        option.textContent = `${list.name} (${list.total})`;
+        diagnosticsList.appendChild(option);
+      });
+      if (filterDiagnostics[selected]) {
+        diagnosticsList.value = selected;
+      }
+
+      renderFilterDiagnostics();
+    } catch (error) {
+      console.error('Failed to load filter diagnostics:', error);
+    }
+  }
+
+
+  function renderFilterDiagnostics() {
+    const list = filterDiagnostics[diagnosticsList.value];
+    diagnosticsContainer.innerHTML = '';
+
+    if (!list || list.total === 0) {
+      diagnosticsContainer.innerHTML = `
+        <div style="text-align: center; padding: 24px; color: var(--text-muted);">
+          <div style="font-size: 14px;">${list ? 'Every line of this list was understood' : 'Filter lists have not been loaded yet'}</div>
+        </div>
+      `;
+      return;
+    }
+
+    const category = diagnosticsCategory.value;
+    const query = diagnosticsSearch.value.trim().toLowerCase();
+    const matches = list.entries.filter(entry =>
+      (!category || entry.category === category) &&
+      (!query || `${entry.text} ${entry.message}`.toLowerCase().includes(query))
+    );
+
+    const summary = document.createElement('div');
+    summary.style.color = 'var(--text-muted)';
+    summary.style.fontSize = '13px';
+    summary.style.marginBottom = '8px';
+    summary.textContent = `${matches.length} matching` +
+      (matches.length > MAX_DIAGNOSTICS_SHOWN ? `, showing the first ${MAX_DIAGNOSTICS_SHOWN}` : '') +
+      (list.entries.length < list.total ? ` (only the first ${list.entries.length} of ${list.total} problems were kept)` : '');
+    diagnosticsContainer.appendChild(summary);
+
+    matches.slice(0, MAX_DIAGNOSTICS_SHOWN).forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'whitelist-item';
+      item.style.display = 'block';
+
+      const filter = document.createElement('div');
+      filter.className = 'whitelist-domain';
+      filter.style.fontFamily = 'monospace';
+      filter.style.wordBreak = 'break-all';
+      filter.textContent = `${entry.line ? `${entry.line}: ` : ''}${entry.text || ''}`;
+
+      const categoryOption = diagnosticsCategory.querySelector(`option[value="${entry.category}"]`);
+      const message = document.createElement('div');
+      message.style.color = 'var(--text-muted)';
+      message.style.fontSize = '13px';
+      message.textContent = `${categoryOption?.textContent || entry.category} · ${entry.message}`;
+
+      item.appendChild(filter);
+      item.appendChild(message);
+      diagnosticsContainer.appendChild(item);
+    });
+  }
+
+
+  if (diagnosticsContainer) {
+    diagnosticsList.addEventListener('change', renderFilterDiagnostics);
+    diagnosticsCategory.addEventListener('change', renderFilterDiagnostics);
+    diagnosticsSearch.addEventListener('input', renderFilterDiagnostics);
+  }
+
+
+  async function loadBadfilterReport() {
+    if (!badfilterContainer) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getBadfilterReport' });
+      const cancelled = response && response.success ? response.data.cancelled : [];
+
+      badfilterContainer.innerHTML = '';
+
+      if (cancelled.length === 0) {
+        badfilterContainer.innerHTML = `
+          <div style="text-align: center; padding: 24px; color: var(--text-muted);">
+            <div style="font-size: 14px;">No filters are cancelled by $badfilter</div>
+          </div>
+        `;
+        return;
+      }
+
+      cancelled.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'whitelist-item';
+
+        const filter = document.createElement('span');
+        filter.className = 'whitelist-domain';
+        filter.style.fontFamily = 'monospace';
+        filter.textContent = entry.filter;
+
+        const source = document.createElement('span');
+        source.style.color = 'var(--text-muted)';
+        source.style.fontSize = '13px';
+        source.textContent = `in ${entry.list || 'unknown list'}, cancelled by ${entry.cancelledBy}`;
+
+        item.appendChild(filter);
+        item.appendChild(source);
+        badfilterContainer.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load badfilter report:', error);
+    }
+  }
+
+
   async function removeFromWhitelist(domain) {
     try {
       const data = await chrome.storage.sync.get(['whitelist']);
@@ -520,8 +1113,10 @@ document.addEventListener('DOMContentLoaded', () => {
         whitelist: validWhitelist,
         filterLists: {
           easyList: enableEasyList ? enableEasyList.checked : true,
-          privacyList: enablePrivacyList ? enablePrivacyList.checked : false
+          privacyList: enablePrivacyList ? enablePrivacyList.checked : false,
+          trackingList: enableTrackingList ? enableTrackingList.checked : false
         },
+        heuristicFiltering: enableHeuristicFiltering ? enableHeuristicFiltering.checked : false,
         updateFrequency: updateFrequency ? updateFrequency.value : '7',
         theme: currentTheme
       };
@@ -555,6 +1150,9 @@ document.addEventListener('DOMContentLoaded', () => {
   if (saveSettingsBtn) saveSettingsBtn.addEventListener('click', saveAllSettings);
   
 
+  document.getElementById('exportBackup')?.addEventListener('click', exportBackup);
+
+
   const resetSettingsBtn = document.getElementById('resetSettings');
   if (resetSettingsBtn) {
     resetSettingsBtn.addEventListener('click', async () => {
@@ -569,7 +1167,7 @@ document.addEventListener('DOMContentLoaded', () => {
             blockedCount: 0,
             isEnabled: true,
             whitelist: [],
-            filterLists: { easyList: true, privacyList: false },
+            filterLists: { easyList: true, privacyList: false, trackingList: false },
             updateFrequency: '7',
             lastFilterUpdate: Date.now(),
             performanceStats: { blockedToday: 0, totalBlocked: 0, avgResponseTime: 0 }
@@ -612,7 +1210,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
 
-  [enableEasyList, enablePrivacyList, updateFrequency].forEach(element => {
+  [enableEasyList, enablePrivacyList, enableTrackingList, enableHeuristicFiltering, updateFrequency].forEach(element => {
     if (element) {
       element.addEventListener('change', () => {
         saveAllSettings();
@@ -624,10 +1222,14 @@ document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
   
 
-  loadFilterLists();
+  loadBadfilterReport();
+  loadRuleBudgetReport();
+  loadFilterDiagnostics();
+  loadStorageReport();
   
 
-  initSiteStats();
+  loadFilterLists();
+  loadFilterListCatalog();
 });
 
 
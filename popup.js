@@ -3,6 +3,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const toggleSwitch = document.getElementById('toggleSwitch');
   const blockedCountElement = document.getElementById('blockedCount');
   const openOptionsButton = document.getElementById('openOptions');
+  const popupBlockerSection = document.getElementById('popupBlockerSection');
+  const allowPopupsSwitch = document.getElementById('allowPopupsSwitch');
+  const blockedPopupCountElement = document.getElementById('blockedPopupCount');
   const viewStatsButton = document.getElementById('viewStats');
   const performanceInfo = document.getElementById('performanceInfo');
   const themeToggle = document.getElementById('themeToggle');
@@ -525,6 +528,58 @@ function updatePerformanceUI() {
   }
 
 
+  let popupBlockerHostname = null;
+
+
+  async function loadPopupBlockerState() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      const response = await chrome.runtime.sendMessage({ action: 'getPopupBlockerState', tabId: tab.id });
+      if (!response || !response.success || !response.data.hostname) {
+        popupBlockerSection.hidden = true;
+        return;
+      }
+
+      const { hostname, blocked, allowed } = response.data;
+      popupBlockerHostname = hostname;
+      popupBlockerSection.hidden = false;
+      allowPopupsSwitch.classList.toggle('active', allowed);
+      allowPopupsSwitch.title = `Allow popups on ${hostname}`;
+      blockedPopupCountElement.textContent = blocked === 0
+        ? 'No popups blocked on this tab'
+        : `${blocked} popup${blocked === 1 ? '' : 's'} blocked on this tab`;
+    } catch (error) {
+      console.error('Failed to load popup blocker state:', error);
+      popupBlockerSection.hidden = true;
+    }
+  }
+
+
+  async function togglePopupsAllowed() {
+    if (!popupBlockerHostname) return;
+
+    const allowed = !allowPopupsSwitch.classList.contains('active');
+    allowPopupsSwitch.classList.toggle('active', allowed);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'setPopupsAllowed',
+        hostname: popupBlockerHostname,
+        allowed
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to update popup setting');
+      }
+    } catch (error) {
+      console.error('Failed to update popup setting:', error);
+      allowPopupsSwitch.classList.toggle('active', !allowed);
+      showErrorIndicator();
+    }
+  }
+
+
   const debouncedLoadStats = debounce(loadStats, 3000);
 
 
@@ -534,6 +589,7 @@ function updatePerformanceUI() {
   });
 
   openOptionsButton.addEventListener('click', openOptions);
+  allowPopupsSwitch.addEventListener('click', togglePopupsAllowed);
   
 
   if (viewStatsButton) {
@@ -639,4 +695,5 @@ function updatePerformanceUI() {
 
 
   loadStats();
+  loadPopupBlockerState();
 });
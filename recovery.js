@@ -6,7 +6,9 @@ const RECOVERY_CONFIG = {
   RETRY_DELAY: 1000,
   BACKUP_STORAGE_KEY: 'zenblock_backup',
   HEALTH_CHECK_INTERVAL: 60000, // 1 minute
-  CRITICAL_ERROR_THRESHOLD: 5
+  CRITICAL_ERROR_THRESHOLD: 5,
+  FALLBACK_RULE_ID_START: 100, // background.js reserves 100-999 for recovery rules
+  FALLBACK_RULE_PRIORITY: 1 // RULE_PRIORITY.FALLBACK in filter-parser.js
 };
 
 class ZenBlockRecovery {
@@ -231,8 +233,8 @@ class ZenBlockRecovery {
   async applyFallbackRules() {
     try {
       const fallbackRules = this.backupData.fallbackRules.map((domain, index) => ({
-        id: 9000 + index,
-        priority: 1,
+        id: RECOVERY_CONFIG.FALLBACK_RULE_ID_START + index,
+        priority: RECOVERY_CONFIG.FALLBACK_RULE_PRIORITY,
         action: { type: 'block' },
         condition: {
           urlFilter: domain,
@@ -0,0 +1,29 @@
+// ZenBlock surrogate for amazon-adsystem.com/aax2/apstag.js
+(function() {
+  'use strict';
+
+  const noop = function() {};
+
+  const apstag = {
+    debug: noop,
+    deleteId: noop,
+    fetchBids: function(config, callback) {
+      if (typeof callback === 'function') {
+        callback([]);
+      }
+    },
+    init: noop,
+    punt: noop,
+    renderImp: noop,
+    renderImpression: noop,
+    rpa: noop,
+    setDisplayBids: noop,
+    targetingKeys: function() {
+      return [];
+    },
+    thirdPartyData: {},
+    upa: noop
+  };
+
+  window.apstag = apstag;
+})();
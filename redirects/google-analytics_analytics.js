@@ -0,0 +1,53 @@
+// ZenBlock surrogate for google-analytics.com/analytics.js
+(function() {
+  'use strict';
+
+  const noop = function() {};
+
+  const Tracker = function() {};
+  Tracker.prototype.get = noop;
+  Tracker.prototype.set = noop;
+  Tracker.prototype.send = noop;
+
+  const runCallbacks = function(args) {
+    const last = args[args.length - 1];
+    if (last instanceof Object && typeof last.hitCallback === 'function') {
+      try {
+        last.hitCallback();
+      } catch (error) {
+      }
+    }
+    if (typeof args[0] === 'function') {
+      try {
+        args[0](new Tracker());
+      } catch (error) {
+      }
+    }
+  };
+
+  const gaName = window.GoogleAnalyticsObject || 'ga';
+  const queue = window[gaName] && Array.isArray(window[gaName].q) ? window[gaName].q : [];
+
+  const ga = function() {
+    runCallbacks(Array.from(arguments));
+  };
+  ga.create = function() {
+    return new Tracker();
+  };
+  ga.getByName = function() {
+    return new Tracker();
+  };
+  ga.getAll = function() {
+    return [new Tracker()];
+  };
+  ga.remove = noop;
+  ga.loaded = true;
+  window[gaName] = ga;
+
+  queue.forEach(args => runCallbacks(Array.from(args)));
+
+  const dataLayer = window.dataLayer;
+  if (dataLayer instanceof Object && dataLayer.hide instanceof Object && typeof dataLayer.hide.end === 'function') {
+    dataLayer.hide.end();
+  }
+})();
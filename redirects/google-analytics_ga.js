@@ -0,0 +1,85 @@
+// ZenBlock surrogate for google-analytics.com/ga.js
+(function() {
+  'use strict';
+
+  const noop = function() {};
+
+  const Tracker = function() {};
+  [
+    '_addIgnoredOrganic', '_addIgnoredRef', '_addItem', '_addOrganic', '_addTrans',
+    '_clearIgnoredOrganic', '_clearIgnoredRef', '_clearOrganic', '_cookiePathCopy',
+    '_deleteCustomVar', '_getName', '_setAccount', '_getAccount', '_getClientInfo',
+    '_getDetectFlash', '_getDetectTitle', '_getLinkerUrl', '_getLocalGifPath',
+    '_getServiceMode', '_getVersion', '_getVisitorCustomVar', '_initData', '_link',
+    '_linkByPost', '_setAllowAnchor', '_setAllowHash', '_setAllowLinker',
+    '_setCampContentKey', '_setCampMediumKey', '_setCampNameKey', '_setCampNOKey',
+    '_setCampSourceKey', '_setCampTermKey', '_setCampaignCookieTimeout',
+    '_setCampaignTrack', '_setClientInfo', '_setCookiePath', '_setCookiePersistence',
+    '_setCookieTimeout', '_setCustomVar', '_setDetectFlash', '_setDetectTitle',
+    '_setDomainName', '_setLocalGifPath', '_setLocalRemoteServerMode',
+    '_setLocalServerMode', '_setReferrerOverride', '_setRemoteServerMode',
+    '_setSampleRate', '_setSessionTimeout', '_setSiteSpeedSampleRate',
+    '_setSessionCookieTimeout', '_setVar', '_setVisitorCookieTimeout', '_trackEvent',
+    '_trackPageLoadTime', '_trackPageview', '_trackSocial', '_trackTiming', '_trackTrans',
+    '_visitCode'
+  ].forEach(name => {
+    Tracker.prototype[name] = noop;
+  });
+  Tracker.prototype._getLinkerUrl = function(url) {
+    return url;
+  };
+
+  const gat = {
+    _anonymizeIP: noop,
+    _createTracker: function() {
+      return new Tracker();
+    },
+    _forceSSL: noop,
+    _getPlugin: noop,
+    _getTracker: function() {
+      return new Tracker();
+    },
+    _getTrackerByName: function() {
+      return new Tracker();
+    },
+    _getTrackers: noop,
+    aa: noop,
+    ab: noop,
+    hb: noop,
+    la: noop,
+    oa: noop,
+    pa: noop,
+    u: noop
+  };
+
+  const gaq = {
+    Na: noop,
+    O: noop,
+    Sa: noop,
+    Ta: noop,
+    Va: noop,
+    _createAsyncTracker: noop,
+    _getAsyncTracker: noop,
+    _getPlugin: noop,
+    push: function(command) {
+      if (typeof command === 'function') {
+        try {
+          command();
+        } catch (error) {
+        }
+        return;
+      }
+      if (Array.isArray(command) && command[0] === '_link' && typeof command[1] === 'string') {
+        window.location.assign(command[1]);
+      }
+    }
+  };
+
+  const previous = window._gaq;
+  window._gat = gat;
+  window._gaq = gaq;
+
+  if (Array.isArray(previous)) {
+    previous.forEach(command => gaq.push(command));
+  }
+})();
@@ -0,0 +1,307 @@
+// ZenBlock surrogate for imasdk.googleapis.com/js/sdkloader/ima3.js
+// Every ad request resolves to an empty ad break so players resume content.
+(function() {
+  'use strict';
+
+  if (window.google && window.google.ima && window.google.ima.AdsLoader) return;
+
+  const noop = function() {};
+  const VERSION = '3.517.2';
+
+  class EventTarget {
+    constructor() {
+      this.listeners = new Map();
+    }
+
+    addEventListener(types, listener, useCapture, context) {
+      (Array.isArray(types) ? types : [types]).forEach(type => {
+        if (!this.listeners.has(type)) {
+          this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add({ listener, context });
+      });
+    }
+
+    removeEventListener(types, listener) {
+      (Array.isArray(types) ? types : [types]).forEach(type => {
+        const entries = this.listeners.get(type);
+        if (!entries) return;
+        entries.forEach(entry => {
+          if (entry.listener === listener) {
+            entries.delete(entry);
+          }
+        });
+      });
+    }
+
+    dispatch(event) {
+      const entries = this.listeners.get(event.type);
+      if (!entries) return;
+      Array.from(entries).forEach(({ listener, context }) => {
+        try {
+          if (typeof listener === 'function') {
+            listener.call(context, event);
+          } else if (listener && typeof listener.handleEvent === 'function') {
+            listener.handleEvent(event);
+          }
+        } catch (error) {
+        }
+      });
+    }
+  }
+
+  class AdEvent {
+    constructor(type) {
+      this.type = type;
+    }
+
+    getAd() {
+      return null;
+    }
+
+    getAdData() {
+      return {};
+    }
+  }
+  AdEvent.Type = {
+    AD_BREAK_READY: 'adBreakReady',
+    AD_BUFFERING: 'adBuffering',
+    AD_CAN_PLAY: 'adCanPlay',
+    AD_METADATA: 'adMetadata',
+    AD_PROGRESS: 'adProgress',
+    ALL_ADS_COMPLETED: 'allAdsCompleted',
+    CLICK: 'click',
+    COMPLETE: 'complete',
+    CONTENT_PAUSE_REQUESTED: 'contentPauseRequested',
+    CONTENT_RESUME_REQUESTED: 'contentResumeRequested',
+    DURATION_CHANGE: 'durationChange',
+    FIRST_QUARTILE: 'firstQuartile',
+    IMPRESSION: 'impression',
+    INTERACTION: 'interaction',
+    LINEAR_CHANGED: 'linearChanged',
+    LOADED: 'loaded',
+    LOG: 'log',
+    MIDPOINT: 'midpoint',
+    PAUSED: 'pause',
+    RESUMED: 'resume',
+    SKIPPABLE_STATE_CHANGED: 'skippableStateChanged',
+    SKIPPED: 'skip',
+    STARTED: 'start',
+    THIRD_QUARTILE: 'thirdQuartile',
+    USER_CLOSE: 'userClose',
+    VIDEO_CLICKED: 'videoClicked',
+    VIDEO_ICON_CLICKED: 'videoIconClicked',
+    VOLUME_CHANGED: 'volumeChange',
+    VOLUME_MUTED: 'mute'
+  };
+
+  class AdError {
+    constructor(message, code, type) {
+      this.message = message;
+      this.errorCode = code;
+      this.type = type;
+    }
+
+    getErrorCode() {
+      return this.errorCode;
+    }
+
+    getInnerError() {
+      return null;
+    }
+
+    getMessage() {
+      return this.message;
+    }
+
+    getType() {
+      return this.type;
+    }
+
+    getVastErrorCode() {
+      return this.errorCode;
+    }
+
+    toString() {
+      return `AdError ${this.errorCode}: ${this.message}`;
+    }
+  }
+  AdError.ErrorCode = {};
+  AdError.Type = { AD_LOAD: 'adLoadError', AD_PLAY: 'adPlayError' };
+
+  class AdErrorEvent {
+    constructor(error) {
+      this.type = AdErrorEvent.Type.AD_ERROR;
+      this.error = error;
+    }
+
+    getError() {
+      return this.error;
+    }
+
+    getUserRequestContext() {
+      return {};
+    }
+  }
+  AdErrorEvent.Type = { AD_ERROR: 'adError' };
+
+  class AdsManager extends EventTarget {
+    constructor() {
+      super();
+      this.volume = 1;
+    }
+
+    collapse() {}
+    configureAdsManager() {}
+    destroy() {}
+    discardAdBreak() {}
+    expand() {}
+    focus() {}
+    getAdSkippableState() {
+      return false;
+    }
+    getCuePoints() {
+      return [0];
+    }
+    getCurrentAd() {
+      return null;
+    }
+    getCurrentAdCuePoints() {
+      return [];
+    }
+    getRemainingTime() {
+      return 0;
+    }
+    getVolume() {
+      return this.volume;
+    }
+    init() {}
+    isCustomClickTrackingUsed() {
+      return false;
+    }
+    isCustomPlaybackUsed() {
+      return false;
+    }
+    pause() {}
+    requestNextAdBreak() {}
+    resize() {}
+    resume() {}
+    setVolume(volume) {
+      this.volume = volume;
+    }
+    skip() {}
+
+    start() {
+      setTimeout(() => {
+        this.dispatch(new AdEvent(AdEvent.Type.CONTENT_RESUME_REQUESTED));
+        this.dispatch(new AdEvent(AdEvent.Type.ALL_ADS_COMPLETED));
+      }, 0);
+    }
+
+    stop() {
+      this.dispatch(new AdEvent(AdEvent.Type.CONTENT_RESUME_REQUESTED));
+    }
+
+    updateAdsRenderingSettings() {}
+  }
+
+  class AdsManagerLoadedEvent {
+    constructor(userRequestContext) {
+      this.type = AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED;
+      this.userRequestContext = userRequestContext;
+    }
+
+    getAdsManager() {
+      return new AdsManager();
+    }
+
+    getUserRequestContext() {
+      return this.userRequestContext || {};
+    }
+  }
+  AdsManagerLoadedEvent.Type = { ADS_MANAGER_LOADED: 'adsManagerLoaded' };
+
+  class ImaSdkSettings {
+    constructor() {
+      this.values = {};
+    }
+  }
+  [
+    'AutoPlayAdBreaks', 'CompanionBackfill', 'CookiesEnabled', 'DisableCustomPlaybackForIOS10Plus',
+    'FeatureFlags', 'Locale', 'NumRedirects', 'Player', 'PlayerVersion', 'PpId',
+    'SessionId', 'VpaidAllowed', 'VpaidMode'
+  ].forEach(name => {
+    ImaSdkSettings.prototype[`set${name}`] = function(value) {
+      this.values[name] = value;
+    };
+    ImaSdkSettings.prototype[`get${name}`] = function() {
+      return this.values[name];
+    };
+  });
+  ImaSdkSettings.CompanionBackfillMode = { ALWAYS: 'always', ON_MASTER_AD: 'on_master_ad' };
+  ImaSdkSettings.VpaidMode = { DISABLED: 0, ENABLED: 1, INSECURE: 2 };
+
+  class AdsLoader extends EventTarget {
+    constructor() {
+      super();
+      this.settings = new ImaSdkSettings();
+    }
+
+    contentComplete() {}
+    destroy() {}
+
+    getSettings() {
+      return this.settings;
+    }
+
+    getVersion() {
+      return VERSION;
+    }
+
+    requestAds(request, userRequestContext) {
+      setTimeout(() => {
+        this.dispatch(new AdsManagerLoadedEvent(userRequestContext));
+      }, 0);
+    }
+  }
+
+  class AdDisplayContainer {
+    destroy() {}
+    initialize() {}
+  }
+
+  class AdsRequest {
+    setAdWillAutoPlay() {}
+    setAdWillPlayMuted() {}
+    setContinuousPlayback() {}
+  }
+
+  class AdsRenderingSettings {}
+
+  class CompanionAdSelectionSettings {}
+  CompanionAdSelectionSettings.CreativeType = { ALL: 'All', FLASH: 'Flash', IMAGE: 'Image' };
+  CompanionAdSelectionSettings.ResourceType = { ALL: 'All', HTML: 'Html', IFRAME: 'IFrame', STATIC: 'Static' };
+  CompanionAdSelectionSettings.SizeCriteria = { IGNORE: 'IgnoreSize', SELECT_EXACT_MATCH: 'SelectExactMatch', SELECT_NEAR_MATCH: 'SelectNearMatch' };
+
+  window.google = window.google || {};
+  window.google.ima = {
+    AdDisplayContainer,
+    AdError,
+    AdErrorEvent,
+    AdEvent,
+    AdsLoader,
+    AdsManager,
+    AdsManagerLoadedEvent,
+    AdsRenderingSettings,
+    AdsRequest,
+    CompanionAdSelectionSettings,
+    ImaSdkSettings,
+    OmidAccessMode: { DOMAIN: 'domain', FULL: 'full', LIMITED: 'limited' },
+    OmidVerificationVendor: {},
+    UiElements: { AD_ATTRIBUTION: 'adAttribution', COUNTDOWN: 'countdown' },
+    UniversalAdIdInfo: noop,
+    ViewMode: { FULLSCREEN: 'fullscreen', NORMAL: 'normal' },
+    VERSION,
+    settings: new ImaSdkSettings()
+  };
+})();
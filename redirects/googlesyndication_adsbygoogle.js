@@ -0,0 +1,20 @@
+// ZenBlock surrogate for pagead2.googlesyndication.com/pagead/js/adsbygoogle.js
+(function() {
+  'use strict';
+
+  const adsbygoogle = {
+    loaded: true,
+    push: function() {}
+  };
+
+  const previous = window.adsbygoogle;
+  window.adsbygoogle = adsbygoogle;
+
+  if (Array.isArray(previous)) {
+    previous.forEach(() => adsbygoogle.push());
+  }
+
+  document.querySelectorAll('ins.adsbygoogle').forEach(element => {
+    element.style.setProperty('display', 'none', 'important');
+  });
+})();
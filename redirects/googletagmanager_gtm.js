@@ -0,0 +1,32 @@
+// ZenBlock surrogate for googletagmanager.com/gtm.js
+(function() {
+  'use strict';
+
+  const noop = function() {};
+
+  window.ga = window.ga || noop;
+
+  const dataLayer = window.dataLayer;
+  if (!(dataLayer instanceof Object)) return;
+
+  if (dataLayer.hide instanceof Object && typeof dataLayer.hide.end === 'function') {
+    dataLayer.hide.end();
+  }
+
+  const runEventCallback = function(entry) {
+    if (entry instanceof Object && typeof entry.eventCallback === 'function') {
+      setTimeout(entry.eventCallback, 1);
+    }
+  };
+
+  if (typeof dataLayer.push === 'function') {
+    dataLayer.push = function() {
+      Array.from(arguments).forEach(runEventCallback);
+      return Array.prototype.push.apply(this, arguments);
+    };
+  }
+
+  if (Array.isArray(dataLayer)) {
+    dataLayer.forEach(runEventCallback);
+  }
+})();
@@ -0,0 +1,151 @@
+// ZenBlock surrogate for googletagservices.com/tag/js/gpt.js
+(function() {
+  'use strict';
+
+  const noop = function() {};
+  const noopThis = function() {
+    return this;
+  };
+  const noopNull = function() {
+    return null;
+  };
+  const noopArray = function() {
+    return [];
+  };
+  const noopString = function() {
+    return '';
+  };
+
+  const companionAdsService = {
+    addEventListener: noopThis,
+    enableSyncLoading: noop,
+    setRefreshUnfilledSlots: noop
+  };
+  const contentService = {
+    addEventListener: noopThis,
+    setContent: noop
+  };
+
+  function PassbackSlot() {}
+  const passbackSlotProto = PassbackSlot.prototype;
+  passbackSlotProto.display = noop;
+  passbackSlotProto.get = noopNull;
+  passbackSlotProto.set = noopThis;
+  passbackSlotProto.setClickUrl = noopThis;
+  passbackSlotProto.setTagForChildDirectedTreatment = noopThis;
+  passbackSlotProto.setTargeting = noopThis;
+  passbackSlotProto.updateTargetingFromMap = noopThis;
+
+  function SizeMappingBuilder() {}
+  SizeMappingBuilder.prototype.addSize = noopThis;
+  SizeMappingBuilder.prototype.build = noopNull;
+
+  function Slot() {}
+  const slotProto = Slot.prototype;
+  slotProto.addService = noopThis;
+  slotProto.clearCategoryExclusions = noopThis;
+  slotProto.clearTargeting = noopThis;
+  slotProto.defineSizeMapping = noopThis;
+  slotProto.get = noopNull;
+  slotProto.getAdUnitPath = noopArray;
+  slotProto.getAttributeKeys = noopArray;
+  slotProto.getCategoryExclusions = noopArray;
+  slotProto.getDomId = noopString;
+  slotProto.getResponseInformation = noopNull;
+  slotProto.getSlotElementId = noopString;
+  slotProto.getSlotId = noopThis;
+  slotProto.getTargeting = noopArray;
+  slotProto.getTargetingKeys = noopArray;
+  slotProto.set = noopThis;
+  slotProto.setCategoryExclusion = noopThis;
+  slotProto.setClickUrl = noopThis;
+  slotProto.setCollapseEmptyDiv = noopThis;
+  slotProto.setTargeting = noopThis;
+  slotProto.updateTargetingFromMap = noopThis;
+
+  const pubAdsService = {
+    addEventListener: noopThis,
+    clear: noop,
+    clearCategoryExclusions: noopThis,
+    clearTagForChildDirectedTreatment: noopThis,
+    clearTargeting: noopThis,
+    collapseEmptyDivs: noop,
+    defineOutOfPagePassback: function() {
+      return new PassbackSlot();
+    },
+    definePassback: function() {
+      return new PassbackSlot();
+    },
+    disableInitialLoad: noop,
+    display: noop,
+    enableAsyncRendering: noop,
+    enableLazyLoad: noop,
+    enableSingleRequest: noop,
+    enableSyncRendering: noop,
+    enableVideoAds: noop,
+    get: noopNull,
+    getAttributeKeys: noopArray,
+    getTargeting: noopArray,
+    getTargetingKeys: noopArray,
+    getSlots: noopArray,
+    refresh: noop,
+    removeEventListener: noop,
+    set: noopThis,
+    setCategoryExclusion: noopThis,
+    setCentering: noop,
+    setCookieOptions: noopThis,
+    setForceSafeFrame: noopThis,
+    setLocation: noopThis,
+    setPrivacySettings: noopThis,
+    setPublisherProvidedId: noopThis,
+    setRequestNonPersonalizedAds: noopThis,
+    setSafeFrameConfig: noopThis,
+    setTagForChildDirectedTreatment: noopThis,
+    setTargeting: noopThis,
+    setVideoContent: noopThis,
+    updateCorrelator: noop
+  };
+
+  const googletag = window.googletag || {};
+  const commandQueue = googletag.cmd || [];
+
+  googletag.apiReady = true;
+  googletag.cmd = [];
+  googletag.cmd.push = function(command) {
+    try {
+      command();
+    } catch (error) {
+    }
+    return 1;
+  };
+  googletag.companionAds = function() {
+    return companionAdsService;
+  };
+  googletag.content = function() {
+    return contentService;
+  };
+  googletag.defineOutOfPageSlot = function() {
+    return new Slot();
+  };
+  googletag.defineSlot = function() {
+    return new Slot();
+  };
+  googletag.destroySlots = noop;
+  googletag.disablePublisherConsole = noop;
+  googletag.display = noop;
+  googletag.enableServices = noop;
+  googletag.getVersion = noopString;
+  googletag.pubads = function() {
+    return pubAdsService;
+  };
+  googletag.pubadsReady = true;
+  googletag.setAdIframeTitle = noop;
+  googletag.sizeMapping = function() {
+    return new SizeMappingBuilder();
+  };
+  window.googletag = googletag;
+
+  while (commandQueue.length !== 0) {
+    googletag.cmd.push(commandQueue.shift());
+  }
+})();
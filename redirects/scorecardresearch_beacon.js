@@ -0,0 +1,11 @@
+// ZenBlock surrogate for scorecardresearch.com/beacon.js
+(function() {
+  'use strict';
+
+  window.COMSCORE = {
+    purge: function() {
+      window._comscore = [];
+    },
+    beacon: function() {}
+  };
+})();
@@ -0,0 +1,516 @@
+// ZenBlock scriptlet library
+// Everything a scriptlet needs lives inside zenblockScriptlets() because
+// chrome.scripting.executeScript serializes the function on its own and runs
+// it in the page's main world.
+
+const SCRIPTLET_ALIASES = {
+  'set-constant': 'set-constant',
+  'set': 'set-constant',
+  'abort-on-property-read': 'abort-on-property-read',
+  'aopr': 'abort-on-property-read',
+  'abort-on-property-write': 'abort-on-property-write',
+  'aopw': 'abort-on-property-write',
+  'abort-current-script': 'abort-current-script',
+  'acs': 'abort-current-script',
+  'abort-current-inline-script': 'abort-current-script',
+  'acis': 'abort-current-script',
+  'json-prune': 'json-prune',
+  'no-settimeout-if': 'no-setTimeout-if',
+  'nostif': 'no-setTimeout-if',
+  'prevent-settimeout': 'no-setTimeout-if',
+  'no-setinterval-if': 'no-setInterval-if',
+  'nosiif': 'no-setInterval-if',
+  'prevent-setinterval': 'no-setInterval-if',
+  'no-fetch-if': 'prevent-fetch',
+  'prevent-fetch': 'prevent-fetch',
+  'no-xhr-if': 'prevent-xhr',
+  'prevent-xhr': 'prevent-xhr',
+  'addeventlistener-defuser': 'prevent-addEventListener',
+  'aeld': 'prevent-addEventListener',
+  'prevent-addeventlistener': 'prevent-addEventListener',
+  'no-window-open-if': 'no-window-open-if',
+  'nowoif': 'no-window-open-if',
+  'prevent-window-open': 'no-window-open-if',
+  'window.open-defuser': 'no-window-open-if',
+  'remove-attr': 'remove-attr',
+  'ra': 'remove-attr',
+  'remove-class': 'remove-class',
+  'rc': 'remove-class',
+  'noeval-if': 'noeval-if',
+  'prevent-eval-if': 'noeval-if'
+};
+
+
+function resolveScriptletName(name) {
+  const normalized = name.trim()
+    .replace(/^ubo-/, '')
+    .replace(/\.js$/, '')
+    .toLowerCase();
+  return SCRIPTLET_ALIASES[normalized] || null;
+}
+
+
+function zenblockScriptlets(calls) {
+  'use strict';
+
+  const log = (...args) => console.debug('[ZenBlock scriptlet]', ...args);
+
+  const toPattern = (needle) => {
+    if (!needle) return /^/;
+    const negated = needle.startsWith('!');
+    const text = negated ? needle.substring(1) : needle;
+    const regexMatch = text.match(/^\/(.+)\/([gimsu]*)$/);
+    const regex = regexMatch
+      ? new RegExp(regexMatch[1], regexMatch[2])
+      : new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return negated ? { test: value => !regex.test(value) } : regex;
+  };
+
+  const resolveConstant = (value) => {
+    const constants = {
+      'undefined': undefined,
+      'false': false,
+      'true': true,
+      'null': null,
+      'noopFunc': function() {},
+      'trueFunc': function() { return true; },
+      'falseFunc': function() { return false; },
+      'emptyObj': {},
+      'emptyArr': [],
+      '': '',
+      'emptyStr': ''
+    };
+    if (Object.prototype.hasOwnProperty.call(constants, value)) return { valid: true, value: constants[value] };
+    if (/^-?\d+$/.test(value)) {
+      const number = parseInt(value, 10);
+      if (Math.abs(number) <= 0x7FFF) return { valid: true, value: number };
+    }
+    if (/^'.*'$/.test(value)) return { valid: true, value: value.slice(1, -1) };
+    return { valid: false };
+  };
+
+  // Calls onOwner(owner, property) once every link of the chain exists,
+  // installing accessors on the intermediate links so late definitions count.
+  const whenChainDefined = (chain, onOwner) => {
+    const walk = (owner, parts) => {
+      const property = parts[0];
+      if (parts.length === 1) {
+        onOwner(owner, property);
+        return;
+      }
+
+      const rest = parts.slice(1);
+      const current = owner[property];
+      if (current instanceof Object) {
+        walk(current, rest);
+        return;
+      }
+
+      const descriptor = Object.getOwnPropertyDescriptor(owner, property);
+      if (descriptor && descriptor.configurable === false) return;
+
+      let value = current;
+      Object.defineProperty(owner, property, {
+        configurable: true,
+        get() {
+          return value;
+        },
+        set(newValue) {
+          value = newValue;
+          if (newValue instanceof Object) {
+            walk(newValue, rest);
+          }
+        }
+      });
+    };
+    walk(window, chain.split('.'));
+  };
+
+  const abortError = () => new ReferenceError(`ZenBlock-${Math.random().toString(36).slice(2)}`);
+
+  const matchesCallArgs = (args, needle) => {
+    const pattern = toPattern(needle);
+    return pattern.test(args.map(arg => {
+      if (typeof arg === 'function') return arg.toString();
+      if (arg instanceof Object) {
+        try {
+          return JSON.stringify(arg);
+        } catch (error) {
+          return String(arg);
+        }
+      }
+      return String(arg);
+    }).join(' '));
+  };
+
+  const prunePaths = (object, paths) => {
+    let pruned = false;
+    for (const path of paths) {
+      const parts = path.split('.');
+      const pruneAt = (target, index) => {
+        if (!(target instanceof Object)) return;
+        const part = parts[index];
+        if (part === '[]' && Array.isArray(target)) {
+          target.forEach(item => pruneAt(item, index + 1));
+          return;
+        }
+        if (index === parts.length - 1) {
+          if (Object.prototype.hasOwnProperty.call(target, part)) {
+            delete target[part];
+            pruned = true;
+          }
+          return;
+        }
+        pruneAt(target[part], index + 1);
+      };
+      pruneAt(object, 0);
+    }
+    return pruned;
+  };
+
+  const hasPaths = (object, paths) => paths.every(path => {
+    let target = object;
+    for (const part of path.split('.')) {
+      if (!(target instanceof Object) || !(part in target)) return false;
+      target = target[part];
+    }
+    return true;
+  });
+
+  const parsePropsToMatch = (propsToMatch) => {
+    const conditions = [];
+    for (const entry of (propsToMatch || '').split(/\s+/).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        conditions.push({ key: 'url', pattern: toPattern(entry) });
+      } else {
+        conditions.push({ key: entry.substring(0, separator), pattern: toPattern(entry.substring(separator + 1)) });
+      }
+    }
+    return conditions;
+  };
+
+  const onDomReady = (callback) => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', callback, { once: true });
+    } else {
+      callback();
+    }
+  };
+
+  const observeDom = (callback) => {
+    onDomReady(() => {
+      callback();
+      let scheduled = false;
+      new MutationObserver(() => {
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+          scheduled = false;
+          callback();
+        }, 50);
+      }).observe(document.documentElement, { childList: true, subtree: true, attributes: true });
+    });
+  };
+
+  const scriptlets = {
+    'set-constant'(chain, rawValue) {
+      if (!chain) return;
+      const constant = resolveConstant(rawValue || '');
+      if (!constant.valid) return;
+
+      whenChainDefined(chain, (owner, property) => {
+        const descriptor = Object.getOwnPropertyDescriptor(owner, property);
+        if (descriptor && descriptor.configurable === false) return;
+        Object.defineProperty(owner, property, {
+          configurable: false,
+          get() {
+            return constant.value;
+          },
+          set() {}
+        });
+      });
+    },
+
+    'abort-on-property-read'(chain) {
+      if (!chain) return;
+      whenChainDefined(chain, (owner, property) => {
+        Object.defineProperty(owner, property, {
+          configurable: false,
+          get() {
+            throw abortError();
+          },
+          set() {}
+        });
+      });
+    },
+
+    'abort-on-property-write'(property) {
+      if (!property) return;
+      whenChainDefined(property, (owner, name) => {
+        delete owner[name];
+        Object.defineProperty(owner, name, {
+          configurable: false,
+          set() {
+            throw abortError();
+          }
+        });
+      });
+    },
+
+    'abort-current-script'(chain, needle) {
+      if (!chain) return;
+      const pattern = toPattern(needle);
+      const thisScript = document.currentScript;
+
+      whenChainDefined(chain, (owner, property) => {
+        const descriptor = Object.getOwnPropertyDescriptor(owner, property);
+        let value = owner[property];
+        const validate = () => {
+          const script = document.currentScript;
+          if (!(script instanceof HTMLScriptElement) || script === thisScript) return;
+          const source = script.src || script.textContent;
+          if (pattern.test(source)) throw abortError();
+        };
+        Object.defineProperty(owner, property, {
+          configurable: true,
+          get() {
+            validate();
+            return descriptor && descriptor.get ? descriptor.get.call(owner) : value;
+          },
+          set(newValue) {
+            validate();
+            if (descriptor && descriptor.set) descriptor.set.call(owner, newValue);
+            else value = newValue;
+          }
+        });
+      });
+    },
+
+    'json-prune'(rawPrunePaths, rawNeedlePaths) {
+      const paths = (rawPrunePaths || '').split(/\s+/).filter(Boolean);
+      const requiredPaths = (rawNeedlePaths || '').split(/\s+/).filter(Boolean);
+      if (paths.length === 0) return;
+
+      const prune = (object) => {
+        if (requiredPaths.length === 0 || hasPaths(object, requiredPaths)) {
+          if (prunePaths(object, paths)) log('json-prune', paths);
+        }
+        return object;
+      };
+
+      const originalParse = JSON.parse;
+      JSON.parse = new Proxy(originalParse, {
+        apply(target, thisArg, args) {
+          return prune(Reflect.apply(target, thisArg, args));
+        }
+      });
+
+      const originalJson = Response.prototype.json;
+      Response.prototype.json = new Proxy(originalJson, {
+        apply(target, thisArg, args) {
+          return Reflect.apply(target, thisArg, args).then(prune);
+        }
+      });
+    },
+
+    'no-setTimeout-if'(needle, delay) {
+      const pattern = toPattern(needle);
+      const delayNegated = (delay || '').startsWith('!');
+      const expectedDelay = delay ? parseInt(delayNegated ? delay.substring(1) : delay, 10) : null;
+
+      window.setTimeout = new Proxy(window.setTimeout, {
+        apply(target, thisArg, args) {
+          const [callback, callDelay] = args;
+          const source = String(callback);
+          let defuse = pattern.test(source);
+          if (defuse && expectedDelay !== null && !Number.isNaN(expectedDelay)) {
+            defuse = (Number(callDelay) === expectedDelay) !== delayNegated;
+          }
+          if (defuse) {
+            args[0] = function() {};
+          }
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    },
+
+    'no-setInterval-if'(needle, delay) {
+      const pattern = toPattern(needle);
+      const delayNegated = (delay || '').startsWith('!');
+      const expectedDelay = delay ? parseInt(delayNegated ? delay.substring(1) : delay, 10) : null;
+
+      window.setInterval = new Proxy(window.setInterval, {
+        apply(target, thisArg, args) {
+          const [callback, callDelay] = args;
+          let defuse = pattern.test(String(callback));
+          if (defuse && expectedDelay !== null && !Number.isNaN(expectedDelay)) {
+            defuse = (Number(callDelay) === expectedDelay) !== delayNegated;
+          }
+          if (defuse) {
+            args[0] = function() {};
+          }
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    },
+
+    'prevent-fetch'(propsToMatch, responseBody) {
+      const conditions = parsePropsToMatch(propsToMatch);
+
+      window.fetch = new Proxy(window.fetch, {
+        apply(target, thisArg, args) {
+          const [resource, init] = args;
+          const details = {
+            url: resource instanceof Request ? resource.url : String(resource),
+            method: (init && init.method) || (resource instanceof Request ? resource.method : 'GET')
+          };
+          if (init instanceof Object) {
+            Object.keys(init).forEach(key => {
+              if (!(key in details)) details[key] = String(init[key]);
+            });
+          }
+
+          const matched = conditions.length === 0 ||
+            conditions.every(({ key, pattern }) => details[key] !== undefined && pattern.test(details[key]));
+          if (!matched) {
+            return Reflect.apply(target, thisArg, args);
+          }
+
+          log('prevent-fetch', details.url);
+          const body = responseBody === 'emptyArr' ? '[]' : responseBody === 'emptyStr' ? '' : '{}';
+          return Promise.resolve(new Response(body, {
+            status: 200,
+            statusText: 'OK',
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+      });
+    },
+
+    'prevent-xhr'(propsToMatch) {
+      const conditions = parsePropsToMatch(propsToMatch);
+      const blockedRequests = new WeakSet();
+
+      XMLHttpRequest.prototype.open = new Proxy(XMLHttpRequest.prototype.open, {
+        apply(target, thisArg, args) {
+          const details = { method: String(args[0]), url: String(args[1]) };
+          const matched = conditions.length === 0 ||
+            conditions.every(({ key, pattern }) => details[key] !== undefined && pattern.test(details[key]));
+          if (matched) {
+            blockedRequests.add(thisArg);
+          }
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+
+      XMLHttpRequest.prototype.send = new Proxy(XMLHttpRequest.prototype.send, {
+        apply(target, thisArg, args) {
+          if (!blockedRequests.has(thisArg)) {
+            return Reflect.apply(target, thisArg, args);
+          }
+          log('prevent-xhr');
+          Object.defineProperties(thisArg, {
+            readyState: { value: 4 },
+            status: { value: 200 },
+            statusText: { value: 'OK' },
+            response: { value: '' },
+            responseText: { value: '' }
+          });
+          setTimeout(() => {
+            thisArg.dispatchEvent(new Event('readystatechange'));
+            thisArg.dispatchEvent(new Event('load'));
+            thisArg.dispatchEvent(new Event('loadend'));
+          }, 1);
+          return undefined;
+        }
+      });
+    },
+
+    'prevent-addEventListener'(type, needle) {
+      const typePattern = toPattern(type);
+      const handlerPattern = toPattern(needle);
+
+      EventTarget.prototype.addEventListener = new Proxy(EventTarget.prototype.addEventListener, {
+        apply(target, thisArg, args) {
+          const [eventType, handler] = args;
+          let handlerSource = '';
+          try {
+            handlerSource = String(handler instanceof Function ? handler : handler && handler.handleEvent);
+          } catch (error) {
+          }
+          if (typePattern.test(String(eventType)) && handlerPattern.test(handlerSource)) {
+            log('prevent-addEventListener', eventType);
+            return undefined;
+          }
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    },
+
+    'no-window-open-if'(needle) {
+      const pattern = toPattern(needle);
+
+      window.open = new Proxy(window.open, {
+        apply(target, thisArg, args) {
+          if (!pattern.test(String(args[0] || ''))) {
+            return Reflect.apply(target, thisArg, args);
+          }
+          log('no-window-open-if', args[0]);
+          return null;
+        }
+      });
+    },
+
+    'noeval-if'(needle) {
+      const pattern = toPattern(needle);
+
+      window.eval = new Proxy(window.eval, {
+        apply(target, thisArg, args) {
+          if (pattern.test(String(args[0]))) {
+            log('noeval-if');
+            return undefined;
+          }
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    },
+
+    'remove-attr'(rawAttributes, selector) {
+      const attributes = (rawAttributes || '').split(/\s*\|\s*/).filter(Boolean);
+      if (attributes.length === 0) return;
+      const query = selector || attributes.map(name => `[${CSS.escape(name)}]`).join(',');
+
+      observeDom(() => {
+        document.querySelectorAll(query).forEach(element => {
+          attributes.forEach(name => element.removeAttribute(name));
+        });
+      });
+    },
+
+    'remove-class'(rawClasses, selector) {
+      const classNames = (rawClasses || '').split(/\s*\|\s*/).filter(Boolean);
+      if (classNames.length === 0) return;
+      const query = selector || classNames.map(name => `.${CSS.escape(name)}`).join(',');
+
+      observeDom(() => {
+        document.querySelectorAll(query).forEach(element => {
+          element.classList.remove(...classNames);
+        });
+      });
+    }
+  };
+
+  for (const { name, args } of calls) {
+    try {
+      scriptlets[name](...args);
+    } catch (error) {
+      console.warn(`[ZenBlock scriptlet] ${name} failed:`, error);
+    }
+  }
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SCRIPTLET_ALIASES, resolveScriptletName, zenblockScriptlets };
+}
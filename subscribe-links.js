@@ -0,0 +1,29 @@
+// Turns clicks on abp:subscribe?location=…&title=… links into ZenBlock's
+// subscribe page. Runs in every frame so links inside embeds work too.
+document.addEventListener('click', (event) => {
+  if (event.button !== 0) return;
+
+  const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+  if (!link || !/^abp:\/*subscribe\b/i.test(link.getAttribute('href'))) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  let params;
+  try {
+    params = new URL(link.getAttribute('href')).searchParams;
+  } catch (error) {
+    return;
+  }
+
+  const location = params.get('location');
+  if (!location) return;
+
+  chrome.runtime.sendMessage({
+    action: 'openSubscribePage',
+    location,
+    title: params.get('title')
+  }).catch(error => {
+    console.warn('ZenBlock could not open the subscribe page:', error);
+  });
+}, true);
@@ -0,0 +1,152 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const listTitle = document.getElementById('listTitle');
+  const listUrl = document.getElementById('listUrl');
+  const statusMessage = document.getElementById('statusMessage');
+  const listDetails = document.getElementById('listDetails');
+  const diagnosticsSection = document.getElementById('diagnosticsSection');
+  const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+  const diagnosticsList = document.getElementById('diagnosticsList');
+  const cancelSubscribe = document.getElementById('cancelSubscribe');
+  const confirmSubscribe = document.getElementById('confirmSubscribe');
+
+  const params = new URLSearchParams(window.location.search);
+  const listLocation = params.get('location');
+  const title = params.get('title');
+  let preview = null;
+
+  document.body.setAttribute('data-theme', localStorage.getItem('zenblock-theme') || 'light');
+
+  // The page has to stay web accessible for the subscribe.adblockplus.org
+  // redirect, so any site could frame it and trick a click onto Subscribe.
+  if (window.top !== window) {
+    showStatus('Open this page in its own tab to subscribe.', 'error');
+    confirmSubscribe.hidden = true;
+    cancelSubscribe.hidden = true;
+    return;
+  }
+
+
+  const FORMAT_LABELS = {
+    adblock: 'Adblock filters',
+    hosts: 'Hosts file',
+    dnsmasq: 'dnsmasq list',
+    domains: 'Domain list'
+  };
+
+  const DIAGNOSTIC_CATEGORY_LABELS = {
+    unsupportedOption: 'Unsupported option',
+    unsupportedSyntax: 'Unsupported syntax',
+    invalidDomain: 'Invalid domain',
+    regexRejected: 'Regex rejected',
+    cosmeticSyntax: 'Cosmetic syntax error',
+    parseError: 'Parse error'
+  };
+
+
+  function showStatus(message, type = '') {
+    statusMessage.textContent = message;
+    statusMessage.className = `status-message ${type}`.trim();
+    statusMessage.hidden = !message;
+  }
+
+
+  function renderPreview() {
+    const metadata = preview.metadata || {};
+    listTitle.textContent = title || metadata.title || 'Subscribe to filter list';
+
+    listDetails.innerHTML = '';
+    [
+      `${preview.ruleCount} network rules`,
+      FORMAT_LABELS[preview.format] || preview.format,
+      metadata.version ? `Version ${metadata.version}` : null,
+      metadata.lastModified ? `Modified ${metadata.lastModified}` : null
+    ].filter(Boolean).forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      listDetails.appendChild(line);
+    });
+
+    if (metadata.homepage) {
+      const homepage = document.createElement('a');
+      homepage.href = metadata.homepage;
+      homepage.target = '_blank';
+      homepage.rel = 'noopener noreferrer';
+      homepage.textContent = metadata.homepage;
+      listDetails.appendChild(homepage);
+    }
+    listDetails.hidden = false;
+
+    const diagnostics = preview.diagnostics;
+    if (diagnostics.total > 0) {
+      diagnosticsSummary.textContent = `${diagnostics.total} lines could not be turned into rules: ` +
+        Object.entries(diagnostics.counts)
+          .map(([category, count]) => `${count} ${(DIAGNOSTIC_CATEGORY_LABELS[category] || category).toLowerCase()}`)
+          .join(', ');
+      diagnosticsList.textContent = diagnostics.entries
+        .map(entry => `${entry.line ? `${entry.line}: ` : ''}${entry.text || ''}  (${entry.message})`)
+        .join('\n') +
+        (diagnostics.entries.length < diagnostics.total ? `\n… and ${diagnostics.total - diagnostics.entries.length} more` : '');
+      diagnosticsSection.hidden = false;
+    }
+
+    if (preview.existing) {
+      showStatus(`You are already subscribed to this list as "${preview.existing}".`);
+      return;
+    }
+    showStatus('');
+    confirmSubscribe.disabled = false;
+  }
+
+
+  async function loadPreview() {
+    if (!listLocation) {
+      showStatus('This subscribe link has no list location.', 'error');
+      return;
+    }
+    listUrl.textContent = listLocation;
+    if (title) listTitle.textContent = title;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'previewFilterList', url: listLocation });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+      preview = response.data;
+      renderPreview();
+    } catch (error) {
+      console.error('Failed to preview filter list:', error);
+      showStatus(`Could not load the filter list: ${error.message}`, 'error');
+    }
+  }
+
+
+  async function subscribe() {
+    const metadata = preview.metadata || {};
+    confirmSubscribe.disabled = true;
+    showStatus('Adding the list…');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'addCustomFilterList',
+        name: title || metadata.title || preview.url,
+        url: preview.url,
+        format: 'auto'
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+      showStatus(`Subscribed. ZenBlock is now using ${response.data.name}.`, 'success');
+      cancelSubscribe.textContent = 'Close';
+    } catch (error) {
+      console.error('Failed to subscribe to filter list:', error);
+      showStatus(`Failed to add filter list: ${error.message}`, 'error');
+      confirmSubscribe.disabled = false;
+    }
+  }
+
+
+  cancelSubscribe.addEventListener('click', () => window.close());
+  confirmSubscribe.addEventListener('click', subscribe);
+
+  loadPreview();
+});
@@ -0,0 +1,155 @@
+// Loads content.js into a jsdom page with cosmetic rules compiled by
+// filter-parser.js, the way the service worker stores them, and checks which
+// elements end up hidden.
+//
+// Run with: npm test (after npm install, for jsdom)
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+global.resolveScriptletName = require(path.join(ROOT, 'scriptlets.js')).resolveScriptletName;
+const { parseFilterList } = require(path.join(ROOT, 'filter-parser.js'));
+// Loaded in the order the manifest lists them.
+const CONTENT_SCRIPTS = ['cosmetic-hostnames.js', 'content.js']
+  .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+const { splitCosmeticRules } = require(path.join(ROOT, 'cosmetic-hostnames.js'));
+
+
+const FILTERS = [
+  '##.ad-slot',
+  '##.promo',
+  'example.com#@#.promo',
+  'example.com#?#.card:has-text(Sponsored)',
+  'other.org##.card'
+].join('\n');
+
+const PAGE = `
+  <div class="ad-slot" id="generic"></div>
+  <div class="promo" id="excepted"></div>
+  <div class="card" id="sponsored">Sponsored</div>
+  <div class="card" id="article">News</div>
+`;
+
+
+before(() => {
+  const log = console.log;
+  console.log = (...args) => {
+    if (!String(args[0]).startsWith('Parsed ')) log(...args);
+  };
+});
+
+
+function compileCssRules(filters) {
+  const context = {
+    cssRules: {
+      global: [],
+      domains: {},
+      negated: {},
+      exceptions: {},
+      styles: {},
+      styleNegated: {},
+      styleExceptions: {},
+      pageExceptions: []
+    },
+    scriptletRules: { domains: {}, negated: {}, exceptions: {} },
+    diagnostics: []
+  };
+  parseFilterList(filters, context);
+  assert.deepEqual(context.diagnostics, []);
+  return context.cssRules;
+}
+
+
+// A page at url with content.js injected, cssRules stored in
+// chrome.storage.local the way storeCosmeticRules does and settings in
+// chrome.storage.sync. readKeys collects the local keys the page asked for.
+async function loadPage(url, body, cssRules, settings = {}, readKeys = []) {
+  const stored = splitCosmeticRules(cssRules);
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, {
+    url,
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+  window.console = { log() {}, warn: console.warn, error: console.error };
+  window.chrome = {
+    storage: {
+      local: {
+        get: async keys => {
+          readKeys.push(...keys);
+          return Object.fromEntries(keys.filter(key => stored[key]).map(key => [key, stored[key]]));
+        }
+      },
+      sync: { get: async () => settings }
+    },
+    runtime: { onMessage: { addListener() {} } }
+  };
+
+  CONTENT_SCRIPTS.forEach(script => window.eval(script));
+  await new Promise(resolve => window.setTimeout(resolve, 0));
+  return window;
+}
+
+
+function isHidden(window, id) {
+  return window.getComputedStyle(window.document.getElementById(id)).display === 'none';
+}
+
+
+describe('cosmetic filtering in the content script', () => {
+  test('## hides, #@# takes back and #?# hides by text', async () => {
+    const window = await loadPage('https://www.example.com/', PAGE, compileCssRules(FILTERS));
+
+    assert.equal(isHidden(window, 'generic'), true);
+    assert.equal(isHidden(window, 'excepted'), false);
+    assert.equal(isHidden(window, 'sponsored'), true);
+    assert.equal(isHidden(window, 'article'), false);
+  });
+
+  test('domain filters stay on their own sites', async () => {
+    const window = await loadPage('https://other.org/', PAGE, compileCssRules(FILTERS));
+
+    assert.equal(isHidden(window, 'excepted'), true);
+    assert.equal(isHidden(window, 'sponsored'), true);
+    assert.equal(isHidden(window, 'article'), true);
+  });
+
+  test('procedural filters catch elements added after load', async () => {
+    const window = await loadPage('https://example.com/', '', compileCssRules(FILTERS));
+    const card = window.document.createElement('div');
+    card.className = 'card';
+    card.id = 'late';
+    card.textContent = 'Sponsored';
+    window.document.body.appendChild(card);
+
+    await new Promise(resolve => window.setTimeout(resolve, 250));
+    assert.equal(isHidden(window, 'late'), true);
+  });
+
+  test('elements without a matching filter are left alone', async () => {
+    const window = await loadPage('https://www.example.com/', '<header class="header" id="header"></header>', compileCssRules(FILTERS));
+    assert.equal(isHidden(window, 'header'), false);
+  });
+
+  test('reads only the cosmetic entries the hostname can match', async () => {
+    const readKeys = [];
+    await loadPage('https://www.example.com/', PAGE, compileCssRules(FILTERS), {}, readKeys);
+
+    assert.ok(readKeys.includes('cosmetic:global'));
+    assert.ok(readKeys.includes('cosmetic:example.com'));
+    assert.ok(!readKeys.includes('cosmetic:other.org'));
+  });
+
+  test('keyword heuristics only run when turned on', async () => {
+    const body = '<div class="ad-banner" id="banner"></div>';
+    const off = await loadPage('https://www.example.com/', body, compileCssRules(FILTERS));
+    assert.equal(isHidden(off, 'banner'), false);
+
+    const on = await loadPage('https://www.example.com/', body, compileCssRules(FILTERS), { heuristicFiltering: true });
+    assert.equal(isHidden(on, 'banner'), true);
+  });
+});
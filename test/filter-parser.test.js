@@ -0,0 +1,379 @@
+// Unit tests for filter-parser.js. It is shared with the service worker, so it
+// is loaded here the same way tools/compile-filters.js loads it.
+//
+// Run with: npm test
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+global.resolveScriptletName = require(path.join(ROOT, 'scriptlets.js')).resolveScriptletName;
+const parser = require(path.join(ROOT, 'filter-parser.js'));
+const { RULE_PRIORITY, parseFilterList } = parser;
+const { getCosmeticHostnameKeys } = require(path.join(ROOT, 'cosmetic-hostnames.js'));
+
+
+// parseFilterList and deduplicateRules report their rule counts on every call.
+before(() => {
+  const log = console.log;
+  console.log = (...args) => {
+    if (!/^(Parsed|Deduplicated) /.test(String(args[0]))) log(...args);
+  };
+});
+
+
+function createCosmeticContext() {
+  return {
+    cssRules: {
+      global: [],
+      domains: {},
+      negated: {},
+      exceptions: {},
+      styles: {},
+      styleNegated: {},
+      styleExceptions: {},
+      pageExceptions: []
+    },
+    scriptletRules: { domains: {}, negated: {}, exceptions: {} },
+    diagnostics: []
+  };
+}
+
+
+function parseOne(filter, context = {}) {
+  const rules = parseFilterList(filter, context);
+  assert.equal(rules.length, 1, `expected one rule for ${filter}`);
+  return rules[0];
+}
+
+
+describe('network filter options', () => {
+  test('maps resource types, party and domains to DNR conditions', () => {
+    const rule = parseOne('||ads.example^$script,third-party,domain=a.com|~b.a.com');
+    assert.deepEqual(rule.action, { type: 'block' });
+    assert.deepEqual(rule.condition, {
+      domainType: 'thirdParty',
+      initiatorDomains: ['a.com'],
+      excludedInitiatorDomains: ['b.a.com'],
+      resourceTypes: ['script'],
+      urlFilter: '||ads.example^'
+    });
+  });
+
+  test('understands uBO aliases and match-case', () => {
+    const rule = parseOne('||ex.com^$xhr,1p,match-case');
+    assert.equal(rule.condition.domainType, 'firstParty');
+    assert.equal(rule.condition.isUrlFilterCaseSensitive, true);
+    assert.deepEqual(rule.condition.resourceTypes, ['xmlhttprequest']);
+  });
+
+  test('reports unknown options instead of guessing', () => {
+    const context = { diagnostics: [] };
+    assert.deepEqual(parseFilterList('||ex.com^$unknownthing', context), []);
+    assert.equal(context.diagnostics.length, 1);
+    assert.equal(context.diagnostics[0].category, 'unsupportedOption');
+    assert.equal(context.diagnostics[0].line, 1);
+  });
+});
+
+
+describe('regex filters', () => {
+  test('compile to regexFilter', () => {
+    const rule = parseOne('/banner\\d+\\.gif/$image');
+    assert.equal(rule.condition.regexFilter, 'banner\\d+\\.gif');
+    assert.deepEqual(rule.condition.resourceTypes, ['image']);
+  });
+});
+
+
+describe('$redirect', () => {
+  test('points at the bundled neutered resource', () => {
+    const rule = parseOne('||ads.example/x.js$script,redirect=noopjs');
+    assert.equal(rule.priority, RULE_PRIORITY.REDIRECT);
+    assert.deepEqual(rule.action, { type: 'redirect', redirect: { extensionPath: '/redirects/noop.js' } });
+  });
+
+  test('drops redirect-rule= instead of redirecting requests nothing blocked', () => {
+    const context = { diagnostics: [] };
+    assert.deepEqual(parseFilterList('*$script,redirect-rule=noopjs,domain=example.com', context), []);
+    assert.equal(context.diagnostics.length, 1);
+    assert.equal(context.diagnostics[0].category, 'unsupportedOption');
+    assert.match(context.diagnostics[0].message, /redirect-rule=noopjs/);
+  });
+});
+
+
+describe('$removeparam', () => {
+  test('plain names use queryTransform', () => {
+    const rule = parseOne('||ex.com^$removeparam=utm_source');
+    assert.deepEqual(rule.action.redirect.transform, { queryTransform: { removeParams: ['utm_source'] } });
+  });
+
+  test('regex names rewrite the query with regexSubstitution', () => {
+    const rule = parseOne('$removeparam=/^utm_/');
+    const regex = new RegExp(rule.condition.regexFilter);
+    const url = 'https://ex.com/?a=1&utm_source=x&b=2#top';
+    assert.equal(url.replace(regex, rule.action.redirect.regexSubstitution.replace(/\\(\d)/g, '$$$1')), 'https://ex.com/?a=1&b=2#top');
+  });
+
+  // Follows the redirects Chrome would make, one substitution per hop.
+  function removeParams(rule, url) {
+    const regex = new RegExp(rule.condition.regexFilter, rule.condition.isUrlFilterCaseSensitive ? '' : 'i');
+    const substitution = rule.action.redirect.regexSubstitution.replace(/\\(\d)/g, '$$$1');
+    for (let hop = 0; hop < 20 && regex.test(url); hop++) {
+      url = url.replace(regex, substitution);
+    }
+    return url;
+  }
+
+  test('the separator goes with the removed parameter', () => {
+    const rule = parseOne('$removeparam=/^utm_/');
+    assert.equal(removeParams(rule, 'https://ex.com/?utm_source=x'), 'https://ex.com/');
+    assert.equal(removeParams(rule, 'https://ex.com/p?a=1&utm_source=x#top'), 'https://ex.com/p?a=1#top');
+    assert.equal(removeParams(rule, 'https://ex.com/?utm_source=x&a=1'), 'https://ex.com/?a=1');
+    assert.equal(removeParams(rule, 'https://ex.com/?utm_a=1&b=2&utm_c=3&utm_d=4'), 'https://ex.com/?b=2');
+    assert.equal(removeParams(rule, 'https://ex.com/?a=1&b=2'), 'https://ex.com/?a=1&b=2');
+  });
+
+  test('a negated name keeps only that parameter', () => {
+    const rule = parseOne('||ex.com^$removeparam=~id');
+    assert.equal(removeParams(rule, 'https://ex.com/?ref=x&id=5&from=y'), 'https://ex.com/?id=5');
+    assert.equal(removeParams(rule, 'https://ex.com/?ref=x'), 'https://ex.com/');
+  });
+});
+
+
+describe('$csp and $permissions', () => {
+  test('append response headers on documents', () => {
+    const csp = parseOne('||ex.com^$csp=script-src \'none\'');
+    assert.equal(csp.action.type, 'modifyHeaders');
+    assert.deepEqual(csp.action.responseHeaders, [
+      { header: 'content-security-policy', value: 'script-src \'none\'', operation: 'append' }
+    ]);
+    assert.deepEqual(csp.condition.resourceTypes, ['main_frame', 'sub_frame']);
+
+    const permissions = parseOne('||ex.com^$permissions=geolocation=()');
+    assert.equal(permissions.action.responseHeaders[0].header, 'permissions-policy');
+  });
+
+  test('an exception only cancels header rules, never blocks', () => {
+    const rules = parseFilterList([
+      '||ex.com^$csp=script-src \'none\'',
+      '||ex.com^$permissions=geolocation=()',
+      '||ex.com^$document',
+      '@@||ex.com^$csp'
+    ].join('\n'));
+    assert.ok(rules.every(rule => rule.action.type !== 'allow' && rule.action.type !== 'allowAllRequests'));
+    assert.equal(rules.filter(rule => rule.action.type === 'block').length, 1);
+    const headerRules = rules.filter(rule => rule.action.type === 'modifyHeaders');
+    assert.deepEqual(headerRules.map(rule => rule.action.responseHeaders[0].header), ['content-security-policy', 'permissions-policy']);
+    assert.deepEqual(headerRules[0].condition.excludedRequestDomains, ['ex.com']);
+    assert.equal(headerRules[1].condition.excludedRequestDomains, undefined);
+  });
+
+  test('a domain exception excludes that domain from matching header rules', () => {
+    const [rule] = parseFilterList('*$csp=worker-src \'none\',domain=a.com|b.com\n@@||b.com^$csp=worker-src \'none\'');
+    assert.deepEqual(rule.condition.excludedRequestDomains, ['b.com']);
+
+    const [other] = parseFilterList('||c.com^$csp=img-src \'none\'\n@@||c.com^$csp=worker-src \'none\'');
+    assert.equal(other.condition.excludedRequestDomains, undefined);
+  });
+
+  test('an exception without a pattern or domains drops the header rules', () => {
+    const rules = parseFilterList('||ex.com^$csp=script-src \'none\'\n@@*$csp');
+    assert.deepEqual(rules, []);
+  });
+
+  test('exceptions apply across lists', () => {
+    const context = { headerExceptions: [] };
+    parseFilterList('@@$csp,domain=d.com', context);
+    const rules = parser.applyHeaderExceptions(parseFilterList('||d.com^$csp=script-src \'none\''), context.headerExceptions);
+    assert.deepEqual(rules[0].condition.excludedRequestDomains, ['d.com']);
+  });
+
+  test('exceptions that cannot be limited to whole domains are reported', () => {
+    const context = { diagnostics: [] };
+    assert.deepEqual(parseFilterList('@@||ex.com/path$csp', context), []);
+    assert.equal(context.diagnostics[0].category, 'unsupportedOption');
+  });
+});
+
+
+describe('rule priority tiers', () => {
+  test('exceptions and $important get their own tiers', () => {
+    assert.equal(parseOne('||ex.com^').priority, RULE_PRIORITY.BLOCK);
+    assert.equal(parseOne('@@||ex.com^').priority, RULE_PRIORITY.ALLOW);
+    assert.equal(parseOne('||ex.com^$important').priority, RULE_PRIORITY.IMPORTANT);
+    assert.equal(parseOne('@@||ex.com^$important').priority, RULE_PRIORITY.IMPORTANT_ALLOW);
+  });
+
+  test('deduplication keeps an $important copy of a plain filter', () => {
+    const rules = parser.deduplicateRules([
+      ...parseFilterList('||ex.com^', {}),
+      ...parseFilterList('||ex.com^$important\n||ex.com^', {})
+    ]);
+    assert.deepEqual(rules.map(rule => rule.priority), [RULE_PRIORITY.BLOCK, RULE_PRIORITY.IMPORTANT]);
+  });
+});
+
+
+describe('$badfilter', () => {
+  test('cancels the matching filter from another list', () => {
+    const badfilters = new Map();
+    parser.collectBadfilters('||a.com^$badfilter,script', 'Fixes', badfilters);
+
+    const context = { badfilters, cancelled: [] };
+    const rules = parseFilterList('||a.com^$script\n||b.com^', context);
+    assert.equal(rules.length, 1);
+    assert.match(rules[0].condition.urlFilter, /b\.com/);
+    assert.deepEqual(context.cancelled, [{ filter: '||a.com^$script', list: null, cancelledBy: 'Fixes' }]);
+  });
+
+  test('signatures ignore option order', () => {
+    assert.equal(
+      parser.getFilterSignature('||a.com^$script,third-party').key,
+      parser.getFilterSignature('||a.com^$third-party,badfilter,script').key
+    );
+  });
+});
+
+
+describe('preprocessor directives', () => {
+  test('evaluates !#if conditions for Chromium', () => {
+    assert.equal(parser.evaluatePreprocessorCondition('env_chromium && !env_firefox'), true);
+    assert.equal(parser.evaluatePreprocessorCondition('ext_ublock'), false);
+  });
+
+  test('keeps the matching branch and resolves !#include relative to the list', async () => {
+    const included = [];
+    const text = await parser.preprocessFilterList(
+      '!#if env_firefox\n||ff.com^\n!#else\n||chrome.com^\n!#endif\n!#include sub.txt\n',
+      'https://lists.example/list.txt',
+      async url => {
+        included.push(url);
+        return '||sub.com^';
+      }
+    );
+    assert.deepEqual(included, ['https://lists.example/sub.txt']);
+    assert.deepEqual(text.split('\n').filter(Boolean), ['||chrome.com^', '||sub.com^']);
+  });
+});
+
+
+describe('list header', () => {
+  test('reads title, version, expiry, homepage and Diff-Path', () => {
+    const metadata = parser.parseFilterListHeader(
+      '[Adblock Plus 2.0]\n! Title: Test List\n! Version: 3\n! Expires: 4 days (update frequency)\n' +
+      '! Homepage: https://lists.example/\n! Diff-Path: ../patches/x.patch#test\n||a.com^'
+    );
+    assert.equal(metadata.title, 'Test List');
+    assert.equal(metadata.version, '3');
+    assert.equal(metadata.expires, 4 * 24 * 60 * 60 * 1000);
+    assert.equal(metadata.homepage, 'https://lists.example/');
+    assert.equal(metadata.diffPath, '../patches/x.patch#test');
+  });
+});
+
+
+describe('cosmetic filters', () => {
+  test('files hides by domain, negated domain, entity and exception', () => {
+    const context = createCosmeticContext();
+    parseFilterList([
+      'example.com,~sub.example.com##.ad',
+      '##.global-ad',
+      'example.com#@#.global-ad',
+      'example.*##.entity',
+      'example.com#?#div:has(> .sponsor)',
+      'example.com##+js(set-constant, a, 1)'
+    ].join('\n'), context);
+
+    const { cssRules, scriptletRules } = context;
+    assert.deepEqual(cssRules.global, ['.global-ad']);
+    assert.deepEqual(cssRules.domains['example.com'], ['.ad', 'div:has(> .sponsor)']);
+    assert.deepEqual(cssRules.domains['example.*'], ['.entity']);
+    assert.deepEqual(cssRules.negated, { 'sub.example.com': { 'example.com': ['.ad'] } });
+    assert.deepEqual(cssRules.exceptions, { 'example.com': ['.global-ad'] });
+    assert.deepEqual(scriptletRules.domains['example.com'], [{ name: 'set-constant', args: ['a', '1'] }]);
+  });
+
+  test('resolves entries for a hostname, its parents and entities', () => {
+    const context = createCosmeticContext();
+    parseFilterList('example.com,~sub.example.com##.ad\nexample.*##.entity', context);
+    const { domains, negated } = context.cssRules;
+
+    const keys = getCosmeticHostnameKeys('www.example.com');
+    assert.ok(keys.includes('example.com'));
+    assert.ok(keys.includes('example.*'));
+    assert.deepEqual(parser.resolveCosmeticEntries(domains, negated, keys).sort(), ['.ad', '.entity']);
+    assert.deepEqual(
+      parser.resolveCosmeticEntries(domains, negated, getCosmeticHostnameKeys('sub.example.com')),
+      ['.entity']
+    );
+  });
+});
+
+
+describe('$popup', () => {
+  test('collects popup blocks and exceptions instead of network rules', () => {
+    const context = { popupFilters: { blocks: [], exceptions: [] } };
+    const rules = parseFilterList('||pop.example^$popup\n@@||ok.example^$popup,domain=a.com', context);
+    assert.deepEqual(rules, []);
+    assert.equal(context.popupFilters.blocks.length, 1);
+    assert.ok(new RegExp(context.popupFilters.blocks[0].urlPattern).test('https://www.pop.example/x'));
+    assert.deepEqual(context.popupFilters.exceptions[0].domains, ['a.com']);
+  });
+});
+
+
+describe('hosts and domain lists', () => {
+  test('detects the format', () => {
+    assert.equal(parser.detectFilterListFormat('0.0.0.0 a.com\n0.0.0.0 b.com'), 'hosts');
+    assert.equal(parser.detectFilterListFormat('address=/a.com/0.0.0.0'), 'dnsmasq');
+    assert.equal(parser.detectFilterListFormat('a.com\nb.com'), 'domains');
+    assert.equal(parser.detectFilterListFormat('a.com\n||b.com^$script'), 'adblock');
+  });
+
+  test('converts entries to ||domain^ filters without loopback names or duplicates', () => {
+    assert.equal(
+      parser.convertDomainList('# Title: Hosts\n0.0.0.0 localhost\n0.0.0.0 a.com b.com\n127.0.0.1 A.com', 'hosts'),
+      '! Title: Hosts\n||a.com^\n||b.com^'
+    );
+  });
+});
+
+
+describe('differential updates', () => {
+  test('parses a named diff from a patch file', () => {
+    const patch = 'diff name:other checksum:ffff lines:2\na1 1\n||x^\n' +
+      'diff name:test checksum:ABC123 lines:3\nd2 1\na3 1\n||new.com^\n';
+    assert.deepEqual(parser.parseDifferentialPatch(patch, 'test'), {
+      name: 'test',
+      checksum: 'abc123',
+      lines: ['d2 1', 'a3 1', '||new.com^']
+    });
+  });
+
+  test('applies RCS add and delete commands', () => {
+    assert.equal(
+      parser.applyRcsDiff('||a.com^\n||b.com^\n||c.com^\n', ['d2 1', 'a3 1', '||new.com^']),
+      '||a.com^\n||c.com^\n||new.com^\n'
+    );
+  });
+
+  test('rejects commands outside the text', () => {
+    assert.throws(() => parser.applyRcsDiff('||a.com^\n', ['d5 1']));
+  });
+});
+
+
+describe('diagnostics', () => {
+  test('record the line number, text and category', () => {
+    const context = { diagnostics: [] };
+    parseFilterList('||fine.com^\n||ex.com^$unknownthing', context);
+    assert.deepEqual(context.diagnostics.map(entry => [entry.line, entry.text, entry.category]), [
+      [2, '||ex.com^$unknownthing', 'unsupportedOption']
+    ]);
+  });
+});
@@ -0,0 +1,192 @@
+// Tests for how background.js keeps filter lists current: the refresh alarm,
+// the cache of !#include sub-lists and the stored cosmetic rules.
+//
+// Run with: npm test
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background.js');
+
+const HOUR = 60 * 60 * 1000;
+
+
+// Event listeners do not hand back their promise, so poll for the outcome.
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.fail('timed out waiting for the background script');
+}
+
+
+function meta(nextUpdate) {
+  return { title: 'List', expires: 4 * HOUR, source: 'remote', fetchedAt: 0, nextUpdate };
+}
+
+
+describe('filter list update alarm', () => {
+  test('is set for the earliest nextUpdate among the enabled lists', async () => {
+    const now = Date.now();
+    const { chrome, context } = loadBackground({
+      sync: { filterLists: { easyList: true, privacyList: true, trackingList: false } },
+      local: {
+        filterListMeta: {
+          easylist: meta(now + 5 * HOUR),
+          privacy: meta(now + 2 * HOUR),
+          tracking: meta(now + HOUR)
+        }
+      }
+    });
+
+    await context.scheduleFilterListUpdate();
+    assert.equal(chrome.alarmsByName.get('filterListUpdate').scheduledTime, now + 2 * HOUR);
+  });
+
+  test('fires soon for a list that was never fetched, but not in a tight loop', async () => {
+    const before = Date.now();
+    const { chrome, context } = loadBackground({
+      sync: { filterLists: { easyList: true } },
+      local: { filterListMeta: { easylist: meta(before - HOUR) } }
+    });
+
+    await context.scheduleFilterListUpdate();
+    const { scheduledTime } = chrome.alarmsByName.get('filterListUpdate');
+    assert.ok(scheduledTime >= before + 60 * 1000);
+    assert.ok(scheduledTime <= Date.now() + 60 * 1000);
+  });
+
+  test('is cleared when nothing can expire or ZenBlock is off', async () => {
+    const { chrome, context } = loadBackground({
+      sync: { filterLists: { easyList: false, trackingList: true } },
+      local: { filterListMeta: { tracking: meta(null) } }
+    });
+    await chrome.alarms.create('filterListUpdate', { when: Date.now() });
+    await context.scheduleFilterListUpdate();
+    assert.equal(chrome.alarmsByName.has('filterListUpdate'), false);
+
+    await chrome.storage.sync.set({ isEnabled: false, filterLists: { easyList: true } });
+    await context.scheduleFilterListUpdate();
+    assert.equal(chrome.alarmsByName.has('filterListUpdate'), false);
+  });
+
+  test('is re-armed when the browser starts', async () => {
+    const { chrome } = loadBackground({
+      sync: { filterLists: { easyList: true } },
+      local: { filterListMeta: { easylist: meta(Date.now() + HOUR) } }
+    });
+
+    await chrome.runtime.onStartup.dispatch();
+    await waitFor(() => chrome.alarmsByName.has('filterListUpdate'));
+  });
+
+  test('refreshes due lists when it fires and schedules the next run', async () => {
+    const { chrome, fetchLog } = loadBackground({
+      sync: { filterLists: { easyList: true } },
+      local: { filterListMeta: { easylist: meta(Date.now() - HOUR) } }
+    });
+
+    await chrome.alarms.onAlarm.dispatch({ name: 'filterListUpdate' });
+    await waitFor(async () => {
+      const { filterListMeta } = await chrome.storage.local.get(['filterListMeta']);
+      return filterListMeta.easylist.nextUpdate > Date.now() && chrome.alarmsByName.has('filterListUpdate');
+    });
+    assert.ok(fetchLog.some(entry => entry.url === 'https://easylist.to/easylist/easylist.txt'));
+
+    const { filterListMeta } = await chrome.storage.local.get(['filterListMeta']);
+    assert.equal(chrome.alarmsByName.get('filterListUpdate').scheduledTime, filterListMeta.easylist.nextUpdate);
+  });
+
+  test('checks a list with a Diff-Path for patches every Diff-Expires', async () => {
+    const { chrome } = loadBackground({
+      sync: { filterLists: { easyList: true } },
+      responses: {
+        'https://easylist.to/easylist/easylist.txt':
+          '[Adblock Plus 2.0]\n! Expires: 4 days\n! Diff-Path: ../patches/easylist.patch#easylist\n! Diff-Expires: 2 hours\n||ads.example^\n'
+      }
+    });
+
+    await chrome.alarms.onAlarm.dispatch({ name: 'filterListUpdate' });
+    await waitFor(async () => {
+      const { filterListMeta } = await chrome.storage.local.get(['filterListMeta']);
+      return filterListMeta && filterListMeta.easylist && chrome.alarmsByName.has('filterListUpdate');
+    });
+
+    const { filterListMeta } = await chrome.storage.local.get(['filterListMeta']);
+    assert.equal(filterListMeta.easylist.nextUpdate, filterListMeta.easylist.fetchedAt + 2 * HOUR);
+    assert.equal(chrome.alarmsByName.get('filterListUpdate').scheduledTime, filterListMeta.easylist.nextUpdate);
+  });
+});
+
+
+describe('included filter lists', () => {
+  const INCLUDE_URL = 'https://lists.example/part.txt';
+
+  test('are fetched again only when they changed', async () => {
+    const requests = [];
+    let body = '||first.example^';
+    const { context } = loadBackground({
+      responses: {
+        [INCLUDE_URL]: init => {
+          requests.push(init.headers || {});
+          if (init.headers && init.headers['If-None-Match'] === '"v1"' && body === '||first.example^') {
+            return new Response(null, { status: 304 });
+          }
+          return new Response(body, { status: 200, headers: { ETag: body === '||first.example^' ? '"v1"' : '"v2"' } });
+        }
+      }
+    });
+
+    assert.equal(await context.fetchIncludedFilterList(INCLUDE_URL), '||first.example^');
+    assert.equal(await context.fetchIncludedFilterList(INCLUDE_URL), '||first.example^');
+    body = '||second.example^';
+    assert.equal(await context.fetchIncludedFilterList(INCLUDE_URL), '||second.example^');
+
+    assert.deepEqual(requests.map(headers => headers['If-None-Match'] || null), [null, '"v1"', '"v1"']);
+  });
+
+  test('fall back to the cached copy when the server is down', async () => {
+    let online = true;
+    const { context } = loadBackground({
+      responses: {
+        [INCLUDE_URL]: () => (online
+          ? new Response('||cached.example^', { status: 200 })
+          : new Response('', { status: 503, statusText: 'Service Unavailable' }))
+      }
+    });
+
+    await context.fetchIncludedFilterList(INCLUDE_URL);
+    online = false;
+    assert.equal(await context.fetchIncludedFilterList(INCLUDE_URL), '||cached.example^');
+  });
+});
+
+
+describe('stored cosmetic rules', () => {
+  function cssRules(domains) {
+    return {
+      global: ['.ad'],
+      domains,
+      negated: {},
+      exceptions: {},
+      styles: {},
+      styleNegated: {},
+      styleExceptions: {},
+      pageExceptions: []
+    };
+  }
+
+  test('are kept one entry per hostname key and stale keys are removed', async () => {
+    const { chrome, context } = loadBackground({ local: { cssRules: cssRules({}) } });
+    const scriptletRules = { domains: {}, negated: {}, exceptions: {} };
+
+    await context.storeCosmeticRules(cssRules({ 'a.com': ['.a'], 'b.com': ['.b'] }), scriptletRules);
+    await context.storeCosmeticRules(cssRules({ 'b.com': ['.b2'] }), scriptletRules);
+
+    const stored = chrome.storage.local.data;
+    assert.deepEqual(Object.keys(stored).filter(key => key.startsWith('cosmetic:')).sort(), ['cosmetic:b.com', 'cosmetic:global']);
+    assert.deepEqual([...stored['cosmetic:b.com'].domains], ['.b2']);
+    assert.deepEqual([...stored['cosmetic:global'].generic], ['.ad']);
+    assert.equal(stored.cssRules, undefined);
+  });
+});
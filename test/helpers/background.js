@@ -0,0 +1,277 @@
+// Runs background.js in its own context with an in-memory stand-in for the
+// chrome.* APIs it uses, so service worker logic can be tested in Node.
+// importScripts loads the shared files from the repository root, as in the
+// extension.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    dispatch: (...args) => Promise.all(listeners.map(listener => listener(...args)))
+  };
+}
+
+
+function createStorageArea(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: async keys => {
+      if (keys === null || keys === undefined) return { ...data };
+      const result = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+        if (data[key] !== undefined) result[key] = data[key];
+      });
+      return result;
+    },
+    set: async values => {
+      Object.assign(data, values);
+    },
+    remove: async keys => {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]);
+    },
+    getBytesInUse: async () => JSON.stringify(data).length
+  };
+}
+
+
+// Every call is recorded in calls as [api, method, args]; dynamic and session
+// rules, alarms, tabs and registered content scripts keep their state.
+function createChrome(options = {}) {
+  const calls = [];
+  const record = (api, method, result) => (...args) => {
+    calls.push([api, method, args]);
+    return Promise.resolve(typeof result === 'function' ? result(...args) : result);
+  };
+
+  let dynamicRules = [];
+  let sessionRules = [];
+  let enabledRulesets = [];
+  let contentScripts = [];
+  const alarms = new Map();
+  const tabs = new Map((options.tabs || []).map(tab => [tab.id, tab]));
+  const frames = options.frames || {};
+
+  const chrome = {
+    calls,
+    runtime: {
+      id: 'zenblock-test',
+      getURL: resource => `chrome-extension://zenblock-test/${resource.replace(/^\//, '')}`,
+      getManifest: () => ({ version: '1.0.0' }),
+      sendMessage: record('runtime', 'sendMessage'),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      onUpdateAvailable: createEvent()
+    },
+    storage: {
+      local: createStorageArea(options.local),
+      sync: createStorageArea(options.sync),
+      session: createStorageArea(),
+      onChanged: createEvent()
+    },
+    declarativeNetRequest: {
+      MAX_NUMBER_OF_DYNAMIC_RULES: 30000,
+      MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES: 5000,
+      MAX_NUMBER_OF_REGEX_RULES: 1000,
+      GUARANTEED_MINIMUM_STATIC_RULES: 30000,
+      SESSION_RULESET_ID: '_session',
+      ...options.declarativeNetRequest,
+      // Chrome leaves empty lists out of the rules it hands back.
+      getDynamicRules: async () => dynamicRules.map(rule => JSON.parse(JSON.stringify(rule,
+        (key, value) => (Array.isArray(value) && value.length === 0 ? undefined : value)))),
+      updateDynamicRules: async ({ removeRuleIds = [], addRules = [] }) => {
+        calls.push(['declarativeNetRequest', 'updateDynamicRules', [{ removeRuleIds, addRules }]]);
+        dynamicRules = dynamicRules.filter(rule => !removeRuleIds.includes(rule.id));
+        addRules.forEach(rule => {
+          if (dynamicRules.some(existing => existing.id === rule.id)) {
+            throw new Error(`Rule with id ${rule.id} already exists`);
+          }
+        });
+        dynamicRules.push(...addRules);
+      },
+      getSessionRules: async () => sessionRules,
+      updateSessionRules: async ({ removeRuleIds = [], addRules = [] }) => {
+        sessionRules = sessionRules.filter(rule => !removeRuleIds.includes(rule.id)).concat(addRules);
+      },
+      getEnabledRulesets: async () => enabledRulesets,
+      updateEnabledRulesets: async ({ enableRulesetIds = [], disableRulesetIds = [] }) => {
+        calls.push(['declarativeNetRequest', 'updateEnabledRulesets', [{ enableRulesetIds, disableRulesetIds }]]);
+        enabledRulesets = [...new Set([...enabledRulesets, ...enableRulesetIds])]
+          .filter(id => !disableRulesetIds.includes(id));
+      },
+      getAvailableStaticRuleCount: async () => 30000,
+      getDisabledRuleIds: async () => [],
+      updateStaticRules: record('declarativeNetRequest', 'updateStaticRules'),
+      isRegexSupported: async () => ({ isSupported: true }),
+      getMatchedRules: async () => ({ rulesMatchedInfo: [] })
+    },
+    alarms: {
+      create: async (name, info) => {
+        calls.push(['alarms', 'create', [name, info]]);
+        alarms.set(name, { name, scheduledTime: info.when });
+      },
+      clear: async name => alarms.delete(name),
+      get: async name => alarms.get(name),
+      onAlarm: createEvent()
+    },
+    tabs: {
+      get: async tabId => {
+        if (!tabs.has(tabId)) throw new Error(`No tab with id: ${tabId}`);
+        return tabs.get(tabId);
+      },
+      query: (queryInfo, callback) => {
+        const result = [...tabs.values()];
+        if (callback) callback(result);
+        return Promise.resolve(result);
+      },
+      create: record('tabs', 'create'),
+      update: record('tabs', 'update'),
+      remove: record('tabs', 'remove'),
+      sendMessage: record('tabs', 'sendMessage'),
+      onCreated: createEvent(),
+      onRemoved: createEvent(),
+      onUpdated: createEvent()
+    },
+    webNavigation: {
+      getFrame: async ({ tabId, frameId }) => (frames[tabId] || {})[frameId] || null,
+      onCommitted: createEvent(),
+      onCreatedNavigationTarget: createEvent(),
+      onBeforeNavigate: createEvent()
+    },
+    scripting: {
+      executeScript: record('scripting', 'executeScript', []),
+      getRegisteredContentScripts: async () => contentScripts,
+      registerContentScripts: async scripts => {
+        calls.push(['scripting', 'registerContentScripts', [scripts]]);
+        contentScripts = contentScripts.concat(scripts);
+      },
+      unregisterContentScripts: async ({ ids } = {}) => {
+        calls.push(['scripting', 'unregisterContentScripts', [{ ids }]]);
+        contentScripts = ids ? contentScripts.filter(script => !ids.includes(script.id)) : [];
+      }
+    },
+    action: {
+      setIcon: record('action', 'setIcon'),
+      setBadgeText: record('action', 'setBadgeText'),
+      setBadgeBackgroundColor: record('action', 'setBadgeBackgroundColor')
+    },
+    get dynamicRules() {
+      return dynamicRules;
+    },
+    get alarmsByName() {
+      return alarms;
+    }
+  };
+  return chrome;
+}
+
+
+// Just enough IndexedDB for filter-store.js: one database with one object
+// store whose requests finish at once and whose transactions complete on the
+// next tick.
+function createIndexedDB() {
+  const entries = new Map();
+  const later = callback => setImmediate(callback);
+  const store = {
+    get: key => ({ result: entries.get(key) }),
+    put: value => ({ result: entries.set(value.key, value) && value.key }),
+    delete: key => ({ result: entries.delete(key) }),
+    getAll: () => ({ result: [...entries.values()] }),
+    getAllKeys: () => ({ result: [...entries.keys()] })
+  };
+
+  const db = {
+    transaction: () => {
+      const transaction = { objectStore: () => store };
+      later(() => transaction.oncomplete && transaction.oncomplete());
+      return transaction;
+    }
+  };
+
+  return {
+    entries,
+    open: () => {
+      const opening = { result: db };
+      later(() => opening.onsuccess && opening.onsuccess());
+      return opening;
+    }
+  };
+}
+
+
+// fetch(url) answers from options.responses ({ url: text }) and serves
+// chrome-extension:// URLs from options.files ({ path: text }) or else the
+// repository. Timers never fire: tests call what the timers would.
+function loadBackground(options = {}) {
+  const chrome = options.chrome || createChrome(options);
+  const responses = options.responses || {};
+  const files = options.files || {};
+  const fetchLog = [];
+
+  const fetch = async (url, init = {}) => {
+    fetchLog.push({ url, init });
+    const extensionPrefix = chrome.runtime.getURL('');
+    if (url.startsWith(extensionPrefix)) {
+      const resource = url.substring(extensionPrefix.length);
+      if (files[resource] !== undefined) return new Response(files[resource]);
+      const file = path.join(ROOT, resource);
+      if (!fs.existsSync(file)) return new Response('', { status: 404 });
+      return new Response(fs.readFileSync(file));
+    }
+    const response = responses[url];
+    if (response === undefined) return new Response('', { status: 404, statusText: 'Not Found' });
+    if (typeof response === 'function') return response(init);
+    return new Response(response, { status: 200 });
+  };
+
+  const context = {
+    chrome,
+    fetch,
+    console: options.console || { log() {}, warn() {}, error() {}, info() {}, debug() {} },
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {},
+    indexedDB: createIndexedDB(),
+    navigator: { languages: ['en-US'] },
+    self: { addEventListener() {} },
+    URL,
+    URLSearchParams,
+    Response,
+    Blob,
+    TextEncoder,
+    TextDecoder,
+    CompressionStream,
+    DecompressionStream,
+    crypto: globalThis.crypto,
+    performance,
+    importScripts: (...files) => {
+      files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+      });
+    },
+    ...options.globals
+  };
+  context.globalThis = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  return {
+    chrome,
+    context,
+    fetchLog,
+    run: code => vm.runInContext(code, context)
+  };
+}
+
+
+module.exports = { createChrome, loadBackground };
@@ -0,0 +1,94 @@
+// Tests for the $popup blocker in background.js.
+//
+// Run with: npm test
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background.js');
+
+const OPENER = { id: 1, url: 'https://news.example/article' };
+
+
+// Event listeners do not hand back their promise, so let the checks settle.
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+
+function loadPopupBlocker(sync = {}) {
+  const background = loadBackground({ sync, tabs: [OPENER] });
+  const { context, chrome } = background;
+  chrome.storage.local.data.popupFilters = JSON.parse(JSON.stringify({
+    blocks: [context.parsePopupFilter('||ads.example^$popup')],
+    exceptions: [context.parsePopupFilter('@@||ads.example/ok^$popup')]
+  }));
+  return background;
+}
+
+
+function removedTabs(chrome) {
+  return chrome.calls.filter(([api, method]) => api === 'tabs' && method === 'remove').map(([, , [tabId]]) => tabId);
+}
+
+
+function openPopup(chrome, tabId, url) {
+  return chrome.webNavigation.onCreatedNavigationTarget.dispatch({ tabId, sourceTabId: OPENER.id, sourceFrameId: 0, url });
+}
+
+
+describe('popup blocker', () => {
+  test('closes a popup that matches a $popup filter and counts it', async () => {
+    const { chrome, run } = loadPopupBlocker();
+    await openPopup(chrome, 2, 'https://ads.example/landing');
+    await settle();
+
+    assert.deepEqual(removedTabs(chrome), [2]);
+    assert.equal((await chrome.storage.session.get(['blockedPopups_1'])).blockedPopups_1, 1);
+    assert.equal(run('pendingPopups.size'), 0);
+  });
+
+  test('leaves popups alone that a filter excepts or the site allows', async () => {
+    const { chrome } = loadPopupBlocker({ popupAllowlist: ['example.org'] });
+    await openPopup(chrome, 2, 'https://ads.example/ok');
+    await openPopup(chrome, 3, 'https://shop.example/');
+    await settle();
+    assert.deepEqual(removedTabs(chrome), []);
+
+    const allowed = loadPopupBlocker({ popupAllowlist: ['news.example'] });
+    await openPopup(allowed.chrome, 2, 'https://ads.example/landing');
+    await settle();
+    assert.deepEqual(removedTabs(allowed.chrome), []);
+  });
+
+  test('checks a popup opened on about:blank when it navigates', async () => {
+    const { chrome, run } = loadPopupBlocker();
+    await openPopup(chrome, 2, 'about:blank');
+    await settle();
+    assert.equal(run('pendingPopups.size'), 1);
+
+    await chrome.webNavigation.onBeforeNavigate.dispatch({ tabId: 2, frameId: 0, url: 'https://ads.example/landing' });
+    await settle();
+    assert.deepEqual(removedTabs(chrome), [2]);
+    assert.equal(run('pendingPopups.size'), 0);
+  });
+
+  test('does not treat tabs the user opens from a link as popups', async () => {
+    const { chrome, run } = loadPopupBlocker();
+    await chrome.tabs.onCreated.dispatch({ id: 2, openerTabId: OPENER.id, pendingUrl: 'https://ads.example/landing' });
+    await settle();
+
+    assert.deepEqual(removedTabs(chrome), []);
+    assert.equal(run('pendingPopups.size'), 0);
+  });
+
+  test('forgets popups that land on a non-web page or are closed', async () => {
+    const { chrome, run } = loadPopupBlocker();
+    await openPopup(chrome, 2, 'chrome://newtab/');
+    await openPopup(chrome, 3, 'about:blank');
+    await settle();
+    assert.equal(run('pendingPopups.size'), 1);
+
+    await chrome.tabs.onRemoved.dispatch(3);
+    assert.equal(run('pendingPopups.size'), 0);
+  });
+});
@@ -0,0 +1,115 @@
+// Tests for how background.js shares the DNR rule quotas between filter lists.
+//
+// Run with: npm test
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background.js');
+
+const { context } = loadBackground();
+
+
+function block(id, urlFilter = `/ad${id}.`) {
+  return { id, priority: 2, action: { type: 'block' }, condition: { urlFilter } };
+}
+
+
+function list(key, priority, rules) {
+  return { key, name: key, priority, rules };
+}
+
+
+function range(from, count, makeRule = block) {
+  return Array.from({ length: count }, (_, index) => makeRule(from + index));
+}
+
+
+function budget(dynamic, limits = {}) {
+  return { dynamic, regex: 1000, unsafeDynamic: null, availableStatic: null, ...limits };
+}
+
+
+// Results made inside the background context fail deepEqual's prototype
+// check, so they are copied out.
+function allocate(lists, ruleBudget, ruleSources = {}) {
+  return JSON.parse(JSON.stringify(context.allocateRuleBudget(lists, ruleBudget, ruleSources)));
+}
+
+
+describe('dynamic rule budget', () => {
+  test('splits the quota by list priority', () => {
+    const allocation = allocate([list('low', 1, range(1, 30)), list('high', 2, range(101, 30))], budget(30));
+
+    assert.equal(allocation.lists.high.quota, 20);
+    assert.equal(allocation.lists.low.quota, 10);
+    assert.equal(allocation.rules.length, 30);
+    assert.equal(allocation.cut.length, 30);
+    assert.ok(allocation.cut.every(entry => entry.reason === 'dynamicQuota'));
+  });
+
+  test('shares out what a small list does not need', () => {
+    const allocation = allocate([list('small', 1, range(1, 5)), list('large', 1, range(101, 100))], budget(50));
+
+    assert.equal(allocation.lists.small.kept, 5);
+    assert.equal(allocation.lists.large.kept, 45);
+  });
+
+  test('keeps exceptions and domain-anchored rules over generic ones', () => {
+    const rules = [
+      block(1),
+      { id: 2, priority: 4, action: { type: 'allow' }, condition: { urlFilter: '||good.com^' } },
+      block(3, '||ads.com^'),
+      block(4)
+    ];
+    const allocation = allocate([list('only', 1, rules)], budget(2), {
+      1: { filter: '/ad1.', line: 1 },
+      4: { filter: '/ad4.', line: 4 }
+    });
+
+    assert.deepEqual(allocation.rules.map(rule => rule.id), [2, 3]);
+    assert.deepEqual(allocation.cut, [
+      { list: 'only', filter: '/ad1.', line: 1, reason: 'dynamicQuota' },
+      { list: 'only', filter: '/ad4.', line: 4, reason: 'dynamicQuota' }
+    ]);
+  });
+
+  test('gives slots refused by the regex quota to rules over their list\'s share', () => {
+    const regex = id => ({ id, priority: 2, action: { type: 'block' }, condition: { regexFilter: `^https://ad${id}\\.` } });
+    const allocation = allocate([
+      list('regexes', 1, range(1, 4, regex)),
+      list('plain', 1, range(101, 6))
+    ], budget(8, { regex: 1 }));
+
+    assert.equal(allocation.lists.regexes.kept, 1);
+    assert.equal(allocation.lists.plain.kept, 6);
+    assert.deepEqual(allocation.regexQuotaCuts, { regexes: 3 });
+    assert.equal(allocation.cut.filter(entry => entry.reason === 'regexQuota').length, 3);
+  });
+
+  test('holds redirect and header rules to the unsafe quota', () => {
+    const redirect = id => ({
+      id,
+      priority: 3,
+      action: { type: 'redirect', redirect: { extensionPath: '/redirects/noop.js' } },
+      condition: { urlFilter: `/ad${id}.js` }
+    });
+    const allocation = allocate([list('redirects', 1, range(1, 3, redirect))], budget(10, { unsafeDynamic: 2 }));
+
+    assert.equal(allocation.rules.length, 2);
+    assert.deepEqual(allocation.cut.map(entry => entry.reason), ['unsafeQuota']);
+  });
+});
+
+
+describe('static ruleset selection', () => {
+  test('enables rulesets by priority while they fit', () => {
+    const { enabled, report } = JSON.parse(JSON.stringify(context.selectStaticRulesets([
+      { key: 'a', name: 'A', priority: 1, ruleCount: 10 },
+      { key: 'b', name: 'B', priority: 3, ruleCount: 25 },
+      { key: 'c', name: 'C', priority: 2, ruleCount: 10 }
+    ], budget(0, { availableStatic: 30 }))));
+
+    assert.deepEqual(enabled.map(entry => entry.key), ['b']);
+    assert.deepEqual(report.map(entry => [entry.list, entry.enabled]), [['b', true], ['c', false], ['a', false]]);
+  });
+});
@@ -0,0 +1,108 @@
+// Runs PRECEDENCE_CHECKS from filter-parser.js through a model of Chrome's
+// declarativeNetRequest matcher, so the priority tiers are checked without a
+// browser. checkRulePrecedence() in the service worker runs the same cases
+// against the real matcher.
+//
+// Run with: npm test
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+global.resolveScriptletName = require(path.join(ROOT, 'scriptlets.js')).resolveScriptletName;
+const {
+  RULE_PRIORITY,
+  PRECEDENCE_CHECKS,
+  parseFilterList,
+  createComprehensiveBlockRule
+} = require(path.join(ROOT, 'filter-parser.js'));
+
+
+// Among rules of equal priority Chrome prefers these actions in this order.
+const ACTION_ORDER = ['allow', 'allowAllRequests', 'block', 'upgradeScheme', 'redirect', 'modifyHeaders'];
+
+
+before(() => {
+  const log = console.log;
+  console.log = (...args) => {
+    if (!String(args[0]).startsWith('Parsed ')) log(...args);
+  };
+});
+
+
+// Mirrors createWhitelistRule in background.js.
+function createWhitelistRule(domains) {
+  return {
+    priority: RULE_PRIORITY.USER_ALLOW,
+    action: { type: 'allowAllRequests' },
+    condition: { requestDomains: domains, resourceTypes: ['main_frame', 'sub_frame'] }
+  };
+}
+
+
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+
+// Only the condition forms PRECEDENCE_CHECKS produce: ||host and ||host^
+// url filters, requestDomains and resourceTypes.
+function matchesRequest(rule, request) {
+  const { condition } = rule;
+  const hostname = new URL(request.url).hostname;
+
+  if (condition.resourceTypes && !condition.resourceTypes.includes(request.type)) return false;
+  if (condition.requestDomains && !condition.requestDomains.some(domain => matchesDomain(hostname, domain))) {
+    return false;
+  }
+  if (condition.urlFilter) {
+    const host = /^\|\|([a-z0-9.-]+)\^?$/.exec(condition.urlFilter);
+    assert.ok(host, `unsupported urlFilter ${condition.urlFilter}`);
+    if (!matchesDomain(hostname, host[1])) return false;
+  }
+  return true;
+}
+
+
+function findWinner(rules, request) {
+  const matched = rules.filter(({ rule }) => matchesRequest(rule, request));
+  matched.sort((a, b) =>
+    b.rule.priority - a.rule.priority ||
+    ACTION_ORDER.indexOf(a.rule.action.type) - ACTION_ORDER.indexOf(b.rule.action.type)
+  );
+  return { matched, winner: matched[0] };
+}
+
+
+describe('rule precedence', () => {
+  for (const check of PRECEDENCE_CHECKS) {
+    test(check.name, () => {
+      const rules = [];
+      check.filters.forEach(filter => {
+        parseFilterList(filter, {}).forEach(rule => rules.push({ rule, label: filter }));
+      });
+      if (check.fallback) {
+        rules.push({ rule: createComprehensiveBlockRule(0, check.fallback, RULE_PRIORITY.FALLBACK), label: 'fallback' });
+      }
+      if (check.whitelist) {
+        rules.push({ rule: createWhitelistRule([check.whitelist]), label: 'whitelist' });
+      }
+
+      const { matched, winner } = findWinner(rules, check.request);
+      assert.equal(matched.length, rules.length, 'every rule in a check has to match its request');
+      assert.equal(winner.label, check.expected);
+    });
+  }
+
+  test('ties on priority go to allow, then block, then redirect', () => {
+    const request = { url: 'https://t.zenblock.test/ad.js', type: 'script' };
+    const rules = ['allow', 'redirect', 'block'].map(type => ({
+      rule: { priority: RULE_PRIORITY.BLOCK, action: { type }, condition: { urlFilter: '||t.zenblock.test^' } },
+      label: type
+    }));
+    assert.equal(findWinner(rules, request).winner.label, 'allow');
+    assert.equal(findWinner(rules.slice(1), request).winner.label, 'block');
+  });
+});
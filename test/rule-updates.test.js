@@ -0,0 +1,70 @@
+// Tests for how applyFilterRules in background.js brings the dynamic rules in
+// line with a new rule set.
+//
+// Run with: npm test
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background.js');
+
+
+function blockRule(id, urlFilter) {
+  return { id, priority: 2, action: { type: 'block' }, condition: { urlFilter, resourceTypes: ['script'] } };
+}
+
+
+// Arrays made inside the background context fail deepEqual's prototype check,
+// so the updates are copied out.
+function ruleUpdates(chrome) {
+  return JSON.parse(JSON.stringify(chrome.calls
+    .filter(([api, method]) => api === 'declarativeNetRequest' && method === 'updateDynamicRules')
+    .map(([, , [update]]) => update)));
+}
+
+
+describe('applying filter rules', () => {
+  test('adds every rule on the first run', async () => {
+    const { chrome, context } = loadBackground();
+    await context.applyFilterRules([blockRule(1, '||a.com^'), blockRule(2, '||b.com^')]);
+
+    const [update] = ruleUpdates(chrome);
+    assert.deepEqual(update.removeRuleIds, []);
+    assert.deepEqual(update.addRules.map(rule => rule.id).sort((a, b) => a - b).slice(0, 2), [1, 2]);
+  });
+
+  test('leaves the dynamic rules alone when nothing changed', async () => {
+    const { chrome, context } = loadBackground({ sync: { whitelist: [] } });
+    const rules = [blockRule(1, '||a.com^'), blockRule(2, '||b.com^')];
+    await context.applyFilterRules(rules);
+    chrome.calls.length = 0;
+
+    await context.applyFilterRules(rules);
+    assert.deepEqual(ruleUpdates(chrome), []);
+  });
+
+  test('replaces only the rules that changed or went away', async () => {
+    const { chrome, context } = loadBackground();
+    await context.applyFilterRules([blockRule(1, '||a.com^'), blockRule(2, '||b.com^'), blockRule(3, '||c.com^')]);
+    chrome.calls.length = 0;
+
+    await context.applyFilterRules([blockRule(1, '||a.com^'), blockRule(2, '||b.org^'), blockRule(4, '||d.com^')]);
+    const [update, ...rest] = ruleUpdates(chrome);
+    assert.deepEqual(rest, []);
+    assert.deepEqual(update.removeRuleIds.sort((a, b) => a - b), [2, 3]);
+    assert.deepEqual(update.addRules.map(rule => rule.id).sort((a, b) => a - b), [2, 4]);
+    assert.deepEqual(JSON.parse(JSON.stringify(chrome.dynamicRules)).map(rule => rule.condition.urlFilter).filter(Boolean).sort(),
+      ['||a.com^', '||b.org^', '||d.com^']);
+  });
+
+  test('re-applies every rule when the whitelist changes', async () => {
+    const { chrome, context } = loadBackground();
+    const rules = [blockRule(1, '||a.com^')];
+    await context.applyFilterRules(rules);
+    await chrome.storage.sync.set({ whitelist: ['news.example'] });
+    chrome.calls.length = 0;
+
+    await context.applyFilterRules(rules);
+    const [update] = ruleUpdates(chrome);
+    assert.deepEqual(update.addRules.find(rule => rule.id === 1).condition.excludedInitiatorDomains, ['news.example']);
+  });
+});
@@ -0,0 +1,169 @@
+// Tests for how background.js runs scriptlets: the bundled lists' files it
+// registers as content scripts and the calls it injects into a frame itself.
+//
+// Run with: npm test
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground } = require('./helpers/background.js');
+
+const BUNDLE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'rulesets', 'bundle.json'), 'utf8'));
+
+const SCRIPTLET_RULES = {
+  domains: { 'ads.example': [{ name: 'set-constant', args: ['adsEnabled', 'false'] }] },
+  negated: {},
+  exceptions: {}
+};
+
+
+// Copied out of the background context, whose arrays fail deepEqual's
+// prototype check.
+function injections(chrome) {
+  return chrome.calls.filter(([api, method]) => api === 'scripting' && method === 'executeScript')
+    .map(([, , [injection]]) => JSON.parse(JSON.stringify(injection)));
+}
+
+
+// An ads.example frame committing inside a page at pageUrl.
+async function commitFrame(pageUrl, sync = {}) {
+  const { chrome } = loadBackground({
+    sync,
+    local: { scriptletRules: SCRIPTLET_RULES },
+    frames: { 7: { 0: { url: pageUrl } } }
+  });
+  await chrome.webNavigation.onCommitted.dispatch({ tabId: 7, frameId: 3, url: 'https://ads.example/frame.html' });
+  return chrome;
+}
+
+
+describe('scriptlet injection', () => {
+  test('runs the frame\'s scriptlets inside an ordinary page', async () => {
+    const chrome = await commitFrame('https://news.example/');
+    const [injection] = injections(chrome);
+    assert.deepEqual(injection.target, { tabId: 7, frameIds: [3] });
+    assert.deepEqual(injection.args, [SCRIPTLET_RULES.domains['ads.example']]);
+  });
+
+  test('skips frames on a whitelisted page', async () => {
+    const chrome = await commitFrame('https://www.news.example/', { whitelist: ['news.example'] });
+    assert.deepEqual(injections(chrome), []);
+  });
+
+  test('skips frames on a page with a $document exception', async () => {
+    const { chrome, context } = loadBackground({
+      local: { scriptletRules: SCRIPTLET_RULES },
+      frames: { 7: { 0: { url: 'https://news.example/' } } }
+    });
+    await chrome.storage.local.set({
+      'cosmetic:global': { generic: [], pageExceptions: [context.parsePageException('@@||news.example^$document')] }
+    });
+
+    await chrome.webNavigation.onCommitted.dispatch({ tabId: 7, frameId: 3, url: 'https://ads.example/frame.html' });
+    assert.deepEqual(injections(chrome), []);
+  });
+});
+
+
+describe('bundled scriptlet files', () => {
+  // The bundle as if filters/easylist.txt had SCRIPTLET_RULES' filter.
+  function bundleWithScriptlets() {
+    const bundle = JSON.parse(JSON.stringify(BUNDLE));
+    Object.assign(bundle.lists.easylist, {
+      scriptletRules: SCRIPTLET_RULES,
+      scriptletFile: 'rulesets/easylist.scriptlets.js',
+      scriptletFilters: ['ads.example##+js(set-constant, adsEnabled, false)']
+    });
+    return JSON.stringify(bundle);
+  }
+
+  function registered(chrome) {
+    return chrome.calls.filter(([api, method]) => api === 'scripting' && method === 'registerContentScripts')
+      .map(([, , [scripts]]) => JSON.parse(JSON.stringify(scripts)));
+  }
+
+  test('are registered in the main world at document_start for the list\'s hosts', async () => {
+    const { chrome, context } = loadBackground({
+      sync: { filterLists: { easyList: true }, whitelist: ['news.example'] },
+      files: { 'rulesets/bundle.json': bundleWithScriptlets() }
+    });
+
+    await context.loadFilterLists(0, true);
+    assert.deepEqual(registered(chrome).at(-1), [{
+      id: 'bundled-scriptlets-easylist',
+      js: ['rulesets/easylist.scriptlets.js'],
+      matches: ['*://ads.example/*', '*://*.ads.example/*'],
+      excludeMatches: ['*://news.example/*', '*://*.news.example/*'],
+      runAt: 'document_start',
+      world: 'MAIN',
+      allFrames: false
+    }]);
+  });
+
+  test('are unregistered when ZenBlock is turned off', async () => {
+    const { chrome, context } = loadBackground({
+      sync: { filterLists: { easyList: true } },
+      files: { 'rulesets/bundle.json': bundleWithScriptlets() }
+    });
+    await context.loadFilterLists(0, true);
+
+    await context.handleToggleEnabled(false);
+    assert.deepEqual(JSON.parse(JSON.stringify(await chrome.scripting.getRegisteredContentScripts())), []);
+  });
+
+  test('leave a top frame\'s bundled calls out of the injection, but not a subframe\'s', async () => {
+    const { chrome, context } = loadBackground({
+      sync: { filterLists: { easyList: true } },
+      files: { 'rulesets/bundle.json': bundleWithScriptlets() },
+      frames: { 7: { 0: { url: 'https://news.example/' } } }
+    });
+    await context.loadFilterLists(0, true);
+
+    await chrome.webNavigation.onCommitted.dispatch({ tabId: 7, frameId: 0, url: 'https://ads.example/' });
+    assert.deepEqual(injections(chrome), []);
+
+    await chrome.webNavigation.onCommitted.dispatch({ tabId: 7, frameId: 3, url: 'https://ads.example/frame.html' });
+    assert.deepEqual(injections(chrome).map(injection => injection.args), [[SCRIPTLET_RULES.domains['ads.example']]]);
+  });
+
+  test('are not registered when a $document exception cannot be pinned to hosts', async () => {
+    const url = 'https://lists.example/exceptions.txt';
+    const { chrome, context } = loadBackground({
+      sync: {
+        filterLists: { easyList: true },
+        customFilterLists: { custom_1: { id: 'custom_1', name: 'Exceptions', url, enabled: true, format: 'adblock', custom: true } }
+      },
+      files: { 'rulesets/bundle.json': bundleWithScriptlets() },
+      responses: {
+        [url]: [
+          '[Adblock Plus 2.0]',
+          '! Title: Exceptions',
+          '! Expires: 4 days',
+          '||tracker-one.example^',
+          '||tracker-two.example^',
+          '@@/ads\\.[a-z]+\\//$document'
+        ].join('\n')
+      }
+    });
+
+    await context.loadFilterLists(0, true);
+    assert.deepEqual(JSON.parse(JSON.stringify(await chrome.scripting.getRegisteredContentScripts())), []);
+  });
+
+  test('stand in for a downloaded copy\'s scriptlet filters while it has them all', () => {
+    const { context } = loadBackground();
+    const compiled = {
+      signatures: {},
+      scriptletFilters: ['ads.example##+js(set-constant, adsEnabled, false)']
+    };
+
+    const kept = context.getBundledListDelta('ads.example##+js(set-constant, adsEnabled, false)\n##.ad', compiled);
+    assert.equal(kept.keepsScriptlets, true);
+    assert.equal(kept.text, '\n##.ad');
+
+    const changed = context.getBundledListDelta('ads.example##+js(set-constant, adsEnabled, true)', compiled);
+    assert.equal(changed.keepsScriptlets, false);
+    assert.equal(changed.text, 'ads.example##+js(set-constant, adsEnabled, true)');
+  });
+});
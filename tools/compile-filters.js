@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// Compiles the bundled filters/*.txt lists into declarativeNetRequest static
+// rulesets (rulesets/<id>.json) plus rulesets/bundle.json, which carries the
+// cosmetic filters, header metadata and $badfilter signatures the service
+// worker needs at runtime. Lists with scriptlet filters also get
+// rulesets/<id>.scriptlets.js, which background.js registers as a main-world
+// content script. manifest.json's rule_resources are rewritten to match.
+//
+// Usage: node tools/compile-filters.js
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const { resolveScriptletName, zenblockScriptlets } = require(path.join(ROOT, 'scriptlets.js'));
+const { getCosmeticHostnameKeys } = require(path.join(ROOT, 'cosmetic-hostnames.js'));
+global.resolveScriptletName = resolveScriptletName;
+const {
+  parseFilterListHeader,
+  preprocessFilterList,
+  getFilterSignature,
+  collectBadfilters,
+  parseFilterList,
+  deduplicateRules,
+  mergeModifyHeadersRules,
+  resolveCosmeticEntries,
+  resolveScriptletCalls
+} = require(path.join(ROOT, 'filter-parser.js'));
+
+// Keep in sync with FILTER_LISTS in background.js.
+const BUNDLED_LISTS = [
+  { id: 'easylist', name: 'EasyList', file: 'filters/easylist.txt', enabled: true },
+  { id: 'privacy', name: 'EasyPrivacy', file: 'filters/privacy.txt', enabled: false },
+  { id: 'tracking', name: 'Tracking Parameters', file: 'filters/tracking-params.txt', enabled: false }
+];
+
+const OUTPUT_DIR = 'rulesets';
+const MAX_STATIC_REGEX_RULES = 1000;
+
+// RE2 has no lookaround or backreferences; Chrome would reject these rules
+// when the extension loads.
+const RE2_UNSUPPORTED = /\(\?<?[=!]|\\[1-9]/;
+
+
+function readIncludedFile(includeUrl) {
+  const filePath = new URL(includeUrl).pathname;
+  if (!filePath.startsWith(`${ROOT}/`)) {
+    throw new Error(`Include outside the extension: ${filePath}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+
+function filterStaticRules(rules, listId) {
+  let regexCount = 0;
+
+  return rules.filter(rule => {
+    const regexFilter = rule.condition.regexFilter;
+    if (!regexFilter) return true;
+
+    if (RE2_UNSUPPORTED.test(regexFilter)) {
+      console.warn(`[${listId}] dropping regex rule RE2 cannot compile: ${regexFilter}`);
+      return false;
+    }
+    if (regexCount >= MAX_STATIC_REGEX_RULES) {
+      console.warn(`[${listId}] dropping regex rule over the ${MAX_STATIC_REGEX_RULES} limit: ${regexFilter}`);
+      return false;
+    }
+    regexCount++;
+    return true;
+  });
+}
+
+
+function formatRuleset(rules) {
+  if (rules.length === 0) return '[]\n';
+  return `[\n${rules.map(rule => `  ${JSON.stringify(rule)}`).join(',\n')}\n]\n`;
+}
+
+
+// A content script that works out the page's calls from the list's scriptlet
+// rules, the same way getScriptletsForHostname does, and runs them.
+function formatScriptletFile(list, scriptletRules) {
+  return [
+    `// Generated by tools/compile-filters.js from ${list.file}. Do not edit.`,
+    '(() => {',
+    `const scriptletRules = ${JSON.stringify(scriptletRules)};`,
+    getCosmeticHostnameKeys.toString(),
+    resolveCosmeticEntries.toString(),
+    resolveScriptletCalls.toString(),
+    zenblockScriptlets.toString(),
+    'const calls = resolveScriptletCalls(scriptletRules, getCosmeticHostnameKeys(location.hostname));',
+    'if (calls.length > 0) zenblockScriptlets(calls);',
+    '})();',
+    ''
+  ].join('\n');
+}
+
+
+// The filter lines behind a list's scriptlets, which getBundledListDelta looks
+// for in a downloaded copy.
+function getScriptletFilters(text) {
+  return [...new Set(text.split('\n')
+    .map(line => line.trim())
+    .filter(line => !line.startsWith('!') && (line.includes('#+js(') || line.includes('%#//scriptlet('))))];
+}
+
+
+// JSON.stringify with short string arrays kept on one line, matching the
+// hand-written manifest.
+function formatManifest(manifest) {
+  return `${JSON.stringify(manifest, null, 2).replace(
+    /^( *)(.*)\[\n((?: *"[^"\n]*",?\n)+) *\]/gm,
+    (match, indent, prefix, items) => {
+      const inline = `${indent}${prefix}[${items.trim().split(/,\n */).join(', ')}]`;
+      return inline.length <= 80 ? inline : match;
+    }
+  )}\n`;
+}
+
+
+async function compile() {
+  const lists = [];
+  for (const list of BUNDLED_LISTS) {
+    const filePath = path.join(ROOT, list.file);
+    const raw = fs.readFileSync(filePath, 'utf8');
+    lists.push({
+      ...list,
+      metadata: parseFilterListHeader(raw),
+      text: await preprocessFilterList(raw, `file://${filePath}`, readIncludedFile)
+    });
+  }
+
+  const badfilters = new Map();
+  lists.forEach(list => collectBadfilters(list.text, list.name, badfilters));
+
+  const bundle = { lists: {} };
+  fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+
+  for (const list of lists) {
+    const context = {
+      badfilters,
+      cancelled: [],
+      listKey: list.id,
+      listName: list.name,
+      cssRules: {
+        global: [],
+        domains: {},
+        negated: {},
+        exceptions: {},
+        styles: {},
+        styleNegated: {},
+        styleExceptions: {},
+        pageExceptions: []
+      },
+      scriptletRules: { domains: {}, negated: {}, exceptions: {} },
+      popupFilters: { blocks: [], exceptions: [] },
+      headerExceptions: [],
+      ruleSources: {},
+      diagnostics: []
+    };
+
+    const parsed = parseFilterList(list.text, context);
+    const rules = filterStaticRules(mergeModifyHeadersRules(deduplicateRules(parsed)), list.id);
+
+    const signatures = {};
+    for (const rule of rules) {
+      const source = context.ruleSources[rule.id];
+      if (source) {
+        signatures[getFilterSignature(source.filter).key] = { id: rule.id, filter: source.filter };
+      }
+    }
+
+    fs.writeFileSync(path.join(ROOT, OUTPUT_DIR, `${list.id}.json`), formatRuleset(rules));
+
+    const scriptletFile = `${OUTPUT_DIR}/${list.id}.scriptlets.js`;
+    const hasScriptlets = Object.keys(context.scriptletRules.domains).length > 0;
+    if (hasScriptlets) {
+      fs.writeFileSync(path.join(ROOT, scriptletFile), formatScriptletFile(list, context.scriptletRules));
+    } else {
+      fs.rmSync(path.join(ROOT, scriptletFile), { force: true });
+    }
+
+    bundle.lists[list.id] = {
+      metadata: list.metadata,
+      ruleCount: rules.length,
+      cssRules: context.cssRules,
+      scriptletRules: context.scriptletRules,
+      scriptletFile: hasScriptlets ? scriptletFile : null,
+      scriptletFilters: hasScriptlets ? getScriptletFilters(list.text) : [],
+      popupFilters: context.popupFilters,
+      headerExceptions: context.headerExceptions,
+      badfilters: [...collectBadfilters(list.text, list.name, new Map()).keys()],
+      signatures,
+      cancelled: context.cancelled
+    };
+
+    console.log(`${list.id}: ${rules.length} rules, ${context.cancelled.length} cancelled by $badfilter`);
+    context.diagnostics.forEach(entry => {
+      console.warn(`  ${list.file}:${entry.line} [${entry.category}] ${entry.message}: ${entry.text}`);
+    });
+  }
+
+  fs.writeFileSync(path.join(ROOT, OUTPUT_DIR, 'bundle.json'), `${JSON.stringify(bundle, null, 2)}\n`);
+
+  const manifestPath = path.join(ROOT, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  manifest.declarative_net_request = {
+    rule_resources: BUNDLED_LISTS.map(list => ({
+      id: list.id,
+      enabled: list.enabled,
+      path: `${OUTPUT_DIR}/${list.id}.json`
+    }))
+  };
+  fs.writeFileSync(manifestPath, formatManifest(manifest));
+}
+
+
+compile().catch(error => {
+  console.error('Filter compilation failed:', error);
+  process.exit(1);
+});